@@ -5,8 +5,305 @@
 const CONFIG = {
     API_BASE_URL: 'https://tntt-backend-wandering-mountain-2009.fly.dev/api',
     TOKEN_KEY: 'tntt_token',
+    REFRESH_TOKEN_KEY: 'tntt_refresh_token',
     USER_KEY: 'tntt_user',
-    REQUEST_TIMEOUT: 10000
+    DATA_SOURCE_KEY: 'tntt_data_source',
+    REQUEST_TIMEOUT: 10000,
+    RETRY_ATTEMPTS: 2,
+    RETRY_BASE_DELAY: 500,
+    CACHE_FRESH_MS: 30000,
+    ABSENCE_THRESHOLD_KEY: 'tntt_absence_threshold',
+    OFFLINE_DB_NAME: 'tntt_offline',
+    STUDENT_FILTERS_KEY: 'tntt_student_filters',
+    DEFAULT_ABSENCE_THRESHOLD: 3,
+    SESSION_WARNING_BEFORE: 2 * 60 * 1000
+};
+
+// Default score types, in the order they appear as grid columns, and the
+// semester each one counts towards. End-of-term exams count double in averages.
+const SCORE_TYPES = [
+    { id: 'GK1', name: 'Giữa kỳ 1', weight: 1, semester: 'HK1' },
+    { id: 'HK1', name: 'Học kỳ 1', weight: 2, semester: 'HK1' },
+    { id: 'GK2', name: 'Giữa kỳ 2', weight: 1, semester: 'HK2' },
+    { id: 'HK2', name: 'Học kỳ 2', weight: 2, semester: 'HK2' }
+];
+
+// Report periods; 'CN' (the whole year) covers every score type
+const SEMESTERS = [
+    { id: 'HK1', name: 'Học kỳ 1' },
+    { id: 'HK2', name: 'Học kỳ 2' },
+    { id: 'CN', name: 'Cả năm' }
+];
+
+// Default classification bands, highest first; an average gets the first band it reaches
+const CLASSIFICATIONS = [
+    { id: 'GIOI', name: 'Giỏi', min: 8 },
+    { id: 'KHA', name: 'Khá', min: 6.5 },
+    { id: 'TRUNG_BINH', name: 'Trung bình', min: 5 },
+    { id: 'YEU', name: 'Yếu', min: 0 }
+];
+
+// Used by classes without a grading scheme of their own or of their school year.
+// passMin is the lowest year average that still moves a student up a class.
+const DEFAULT_GRADING_SCHEME = {
+    id: 'DEFAULT',
+    name: 'Mặc định',
+    schoolYear: '',
+    types: SCORE_TYPES,
+    classifications: CLASSIFICATIONS,
+    passMin: 5
+};
+
+// Sacraments tracked per student, in the order they are received. Baptism keeps
+// its date in the student's ngayRuaToi field; the others live in student.sacraments.
+// minAge is the youngest age (on the ceremony date) at which a student is eligible.
+const SACRAMENTS = [
+    { id: 'RUA_TOI', name: 'Rửa Tội' },
+    { id: 'RUOC_LE', name: 'Rước Lễ Lần Đầu', requires: 'RUA_TOI', minAge: 9 },
+    { id: 'THEM_SUC', name: 'Thêm Sức', requires: 'RUOC_LE', minAge: 14 }
+];
+
+// Bổn mạng: feast day (MM-DD) of the saints students are named after, with the
+// Vietnamese, Latin-derived and foreign spellings found on parish records.
+// Compound names ("Gioan Bosco") are matched before their first word ("Gioan").
+const SAINT_FEASTS = [
+    { date: '01-21', saint: 'Thánh Anê', names: ['Anê', 'Agnès', 'Agnes', 'Inê'] },
+    { date: '01-26', saint: 'Thánh Timôthê', names: ['Timôthê', 'Timothy', 'Timothe'] },
+    { date: '01-31', saint: 'Thánh Gioan Bosco', names: ['Gioan Bosco', 'John Bosco', 'Don Bosco'] },
+    { date: '02-05', saint: 'Thánh Agata', names: ['Agata', 'Agatha', 'Agatta'] },
+    { date: '02-14', saint: 'Thánh Valentinô', names: ['Valentinô', 'Valentine', 'Valentino'] },
+    { date: '03-17', saint: 'Thánh Patriciô', names: ['Patriciô', 'Patrick', 'Patricio'] },
+    { date: '03-19', saint: 'Thánh Giuse', names: ['Giuse', 'Joseph', 'Giu-se', 'José', 'Jose'] },
+    { date: '04-16', saint: 'Thánh Bênađétta', names: ['Bênađétta', 'Bernadette', 'Bernadetta'] },
+    { date: '04-25', saint: 'Thánh Máccô', names: ['Máccô', 'Marcô', 'Mark', 'Marco', 'Marcus'] },
+    { date: '04-29', saint: 'Thánh Catarina Siena', names: ['Catarina', 'Catherine', 'Catarina Siena', 'Catharina'] },
+    { date: '05-03', saint: 'Thánh Philípphê', names: ['Philípphê', 'Philiphê', 'Philip', 'Philippe', 'Phi-líp-phê'] },
+    { date: '05-06', saint: 'Thánh Đaminh Saviô', names: ['Đaminh Saviô', 'Dominic Savio', 'Dominico Savio'] },
+    { date: '05-14', saint: 'Thánh Matthia', names: ['Matthia', 'Matthias', 'Mathia'] },
+    { date: '05-22', saint: 'Thánh Rita', names: ['Rita'] },
+    { date: '05-30', saint: 'Thánh Gioanna Đa', names: ['Gioanna', 'Jeanne', 'Joan', 'Jeanne d\'Arc'] },
+    { date: '06-11', saint: 'Thánh Barnabê', names: ['Barnabê', 'Barnabas', 'Banabê'] },
+    { date: '06-13', saint: 'Thánh Antôn Padua', names: ['Antôn', 'Antôniô', 'Anthony', 'Antoine', 'Antonio', 'An-tôn'] },
+    { date: '06-21', saint: 'Thánh Luy Gonzaga', names: ['Luy', 'Luy Gonzaga', 'Aloisiô', 'Aloysius', 'Louis', 'Lu-y'] },
+    { date: '06-24', saint: 'Thánh Gioan Baotixita', names: ['Gioan Baotixita', 'Gioan Tẩy Giả', 'John the Baptist', 'Jean-Baptiste'] },
+    { date: '06-29', saint: 'Thánh Phêrô', names: ['Phêrô', 'Peter', 'Pierre', 'Pedro', 'Phê-rô', 'Petrus'] },
+    { date: '06-29', saint: 'Thánh Phaolô', names: ['Phaolô', 'Paul', 'Paulo', 'Phao-lô', 'Paolo'] },
+    { date: '07-03', saint: 'Thánh Tôma', names: ['Tôma', 'Thomas', 'Tô-ma', 'Tomas'] },
+    { date: '07-11', saint: 'Thánh Bênêđictô', names: ['Bênêđictô', 'Benedict', 'Benoît', 'Benedicto'] },
+    { date: '07-12', saint: 'Thánh Vêrônica', names: ['Vêrônica', 'Veronica', 'Véronique'] },
+    { date: '07-22', saint: 'Thánh Maria Mađalêna', names: ['Maria Mađalêna', 'Mađalêna', 'Madalena', 'Mary Magdalene', 'Madeleine'] },
+    { date: '07-25', saint: 'Thánh Giacôbê', names: ['Giacôbê', 'James', 'Jacques', 'Giacobe', 'Santiago'] },
+    { date: '07-26', saint: 'Thánh Anna', names: ['Anna', 'Anne', 'An-na'] },
+    { date: '07-26', saint: 'Thánh Gioakim', names: ['Gioakim', 'Joachim'] },
+    { date: '07-26', saint: 'Thánh Anrê Phú Yên', names: ['Anrê Phú Yên', 'Andrew Phu Yen'] },
+    { date: '07-29', saint: 'Thánh Mácta', names: ['Mácta', 'Martha', 'Marta', 'Marthe'] },
+    { date: '07-31', saint: 'Thánh Inhaxiô Loyola', names: ['Inhaxiô', 'Ignatius', 'Ignace', 'Ignacio'] },
+    { date: '08-01', saint: 'Thánh Anphongsô', names: ['Anphongsô', 'Alphonsus', 'Alphonse', 'Alfonso'] },
+    { date: '08-08', saint: 'Thánh Đaminh', names: ['Đaminh', 'Dominic', 'Dominique', 'Domingo', 'Đa-minh'] },
+    { date: '08-11', saint: 'Thánh Clara', names: ['Clara', 'Clare', 'Claire', 'Cơ-la-ra'] },
+    { date: '08-14', saint: 'Thánh Maximilianô Kolbe', names: ['Maximilianô', 'Maximilian', 'Maximilien', 'Maximiliano Kolbe'] },
+    { date: '08-15', saint: 'Đức Mẹ Lên Trời', names: ['Maria', 'Mary', 'Marie', 'Ma-ri-a', 'Ma-ri-ô'] },
+    { date: '08-18', saint: 'Thánh Hêlêna', names: ['Hêlêna', 'Helena', 'Helen', 'Hélène'] },
+    { date: '08-20', saint: 'Thánh Bênađô', names: ['Bênađô', 'Bernard', 'Bernardo'] },
+    { date: '08-23', saint: 'Thánh Rôsa Lima', names: ['Rôsa', 'Rosa', 'Rose', 'Rô-sa'] },
+    { date: '08-24', saint: 'Thánh Batôlômêô', names: ['Batôlômêô', 'Bartholomew', 'Barthélemy', 'Bartolomeo'] },
+    { date: '08-27', saint: 'Thánh Mônica', names: ['Mônica', 'Monica', 'Monique', 'Mô-ni-ca'] },
+    { date: '08-28', saint: 'Thánh Augustinô', names: ['Augustinô', 'Augustine', 'Augustin', 'Agustino', 'Âu-tinh'] },
+    { date: '09-03', saint: 'Thánh Grêgôriô Cả', names: ['Grêgôriô', 'Gregory', 'Grégoire', 'Gregorio'] },
+    { date: '09-21', saint: 'Thánh Matthêu', names: ['Matthêu', 'Mathêu', 'Matthew', 'Matthieu', 'Mát-thêu'] },
+    { date: '09-27', saint: 'Thánh Vinh Sơn Phaolô', names: ['Vinh Sơn', 'Vincent', 'Vincente', 'Vinh-sơn'] },
+    { date: '09-29', saint: 'Tổng lãnh thiên thần Micae', names: ['Micae', 'Michael', 'Michel', 'Mi-ca-e', 'Micaen', 'Miguel'] },
+    { date: '09-29', saint: 'Tổng lãnh thiên thần Gabriel', names: ['Gabriel', 'Gabrien', 'Gáp-ri-en'] },
+    { date: '09-29', saint: 'Tổng lãnh thiên thần Raphael', names: ['Raphael', 'Raphaen', 'Rafael', 'Ra-pha-en'] },
+    { date: '09-30', saint: 'Thánh Giêrônimô', names: ['Giêrônimô', 'Jerome', 'Jérôme', 'Jeronimo'] },
+    { date: '10-01', saint: 'Thánh Têrêsa Hài Đồng Giêsu', names: ['Têrêsa', 'Teresa', 'Thérèse', 'Therese', 'Tê-rê-sa', 'Theresa'] },
+    { date: '10-04', saint: 'Thánh Phanxicô Assisi', names: ['Phanxicô', 'Francis', 'François', 'Francesco', 'Francisco', 'Phan-xi-cô'] },
+    { date: '10-05', saint: 'Thánh Faustina', names: ['Faustina', 'Phautina'] },
+    { date: '10-18', saint: 'Thánh Luca', names: ['Luca', 'Luke', 'Luc', 'Lu-ca'] },
+    { date: '10-22', saint: 'Thánh Gioan Phaolô II', names: ['Gioan Phaolô', 'John Paul', 'Jean-Paul'] },
+    { date: '10-28', saint: 'Thánh Giuđa Tađêô', names: ['Giuđa Tađêô', 'Tađêô', 'Jude', 'Thaddeus', 'Thađêô'] },
+    { date: '10-28', saint: 'Thánh Simon', names: ['Simon', 'Simôn', 'Si-môn'] },
+    { date: '11-03', saint: 'Thánh Martinô de Porres', names: ['Martinô', 'Martin', 'Martino', 'Máctinô', 'Mác-ti-nô'] },
+    { date: '11-17', saint: 'Thánh Isave Hungari', names: ['Isave', 'Elisabeth', 'Elizabeth', 'Êlisabét', 'Isabelle', 'Isabel'] },
+    { date: '11-22', saint: 'Thánh Cêcilia', names: ['Cêcilia', 'Cecilia', 'Cécile', 'Xêxilia'] },
+    { date: '11-24', saint: 'Các Thánh Tử Đạo Việt Nam', names: ['Anrê Dũng Lạc', 'Andrew Dung Lac'] },
+    { date: '11-30', saint: 'Thánh Anrê', names: ['Anrê', 'Andrew', 'André', 'Andre', 'An-rê', 'Andrea'] },
+    { date: '12-03', saint: 'Thánh Phanxicô Xaviê', names: ['Phanxicô Xaviê', 'Xaviê', 'Francis Xavier', 'Xavier'] },
+    { date: '12-06', saint: 'Thánh Nicôla', names: ['Nicôla', 'Nicholas', 'Nicolas', 'Nicola', 'Ni-cô-la'] },
+    { date: '12-13', saint: 'Thánh Lucia', names: ['Lucia', 'Luxia', 'Lucy', 'Lucie'] },
+    { date: '12-25', saint: 'Lễ Giáng Sinh', names: ['Emmanuel', 'Emmanuen', 'Noel'] },
+    { date: '12-26', saint: 'Thánh Stêphanô', names: ['Stêphanô', 'Têphanô', 'Stephen', 'Étienne', 'Stephano', 'Esteban'] },
+    { date: '12-27', saint: 'Thánh Gioan Tông Đồ', names: ['Gioan', 'John', 'Jean', 'Giovanni', 'Juan', 'Gio-an'] },
+    { date: '12-29', saint: 'Thánh vua Đavít', names: ['Đavít', 'David', 'Đa-vít'] }
+];
+
+// Attendance statuses, in the order of the roll-call buttons
+const ATTENDANCE_STATUSES = [
+    { id: 'PRESENT', name: 'Có mặt' },
+    { id: 'ABSENT', name: 'Vắng' },
+    { id: 'EXCUSED', name: 'Có phép' }
+];
+
+// Student fields the importer can fill, with the header spellings it recognises
+// (accent-folded). hoTen is split into hoDem + ten when those aren't mapped.
+const IMPORT_FIELDS = [
+    { field: 'tenThanh', label: 'Tên thánh', aliases: ['ten thanh', 'thanh', 'saint'] },
+    { field: 'hoDem', label: 'Họ đệm', aliases: ['ho dem', 'ho lot', 'ho'] },
+    { field: 'ten', label: 'Tên', aliases: ['ten', 'name'] },
+    { field: 'hoTen', label: 'Họ và tên (tự tách)', aliases: ['ho va ten', 'ho ten', 'full name'] },
+    { field: 'lop', label: 'Lớp', aliases: ['lop', 'class'] },
+    { field: 'ngaySinh', label: 'Ngày sinh', aliases: ['ngay sinh', 'sinh ngay', 'dob'] },
+    { field: 'ngayRuaToi', label: 'Ngày rửa tội', aliases: ['ngay rua toi', 'rua toi'] },
+    { field: 'phuHuynh', label: 'Phụ huynh', aliases: ['phu huynh', 'cha me', 'ten phu huynh'] },
+    { field: 'giaoKhu', label: 'Giáo khu', aliases: ['giao khu', 'khu'] },
+    { field: 'sdt', label: 'Số điện thoại', aliases: ['sdt', 'so dien thoai', 'dien thoai', 'phone'] }
+];
+
+// What each role may do. Actions listed in CLASS_SCOPED_ACTIONS are further
+// limited to the user's assignedClasses (unless they hold 'ALL').
+const PERMISSIONS = {
+    ADMIN: [
+        'students.view', 'students.create', 'students.edit', 'students.delete', 'students.import', 'students.export',
+        'scores.view', 'scores.edit', 'attendance.view', 'attendance.edit', 'reports.print', 'dashboard.view',
+        'users.manage', 'classes.manage', 'classes.edit', 'classes.delete', 'classes.promote', 'history.view', 'audit.view',
+        'sacraments.view', 'calendar.view', 'grading.manage', 'trash.manage'
+    ],
+    TEACHER: [
+        'students.view', 'students.create', 'students.edit', 'students.delete', 'students.import', 'students.export',
+        'scores.view', 'scores.edit', 'attendance.view', 'attendance.edit', 'reports.print', 'dashboard.view',
+        'history.view', 'sacraments.view', 'calendar.view'
+    ],
+    GUEST: [
+        'students.view', 'scores.view', 'attendance.view', 'dashboard.view', 'sacraments.view', 'calendar.view'
+    ]
+};
+
+const CLASS_SCOPED_ACTIONS = [
+    'students.view', 'students.create', 'students.edit', 'students.delete',
+    'scores.view', 'scores.edit', 'attendance.view', 'attendance.edit', 'reports.print', 'history.view'
+];
+
+// Past school years are read-only archives: these actions are refused there
+const ARCHIVE_LOCKED_ACTIONS = [
+    'students.create', 'students.edit', 'students.delete', 'students.import',
+    'scores.edit', 'attendance.edit', 'classes.edit', 'classes.delete', 'classes.promote'
+];
+
+// Resources loaded (and cached offline) per school year
+const YEAR_SCOPED_RESOURCES = ['students', 'classes', 'scores', 'attendance'];
+
+// How many past school years the header selector offers
+const SCHOOL_YEARS_SHOWN = 5;
+
+// Seconds a bulk change on the student grid can still be undone before it is saved
+const BULK_UNDO_SECONDS = 8;
+
+// Pages reachable through the router, and the permission each one needs
+const ROUTE_PAGES = {
+    students: 'students.view',
+    scores: 'scores.view',
+    attendance: 'attendance.view',
+    dashboard: 'dashboard.view',
+    users: 'users.manage',
+    classes: 'classes.manage',
+    sacraments: 'sacraments.view',
+    calendar: 'calendar.view',
+    grading: 'grading.manage',
+    audit: 'audit.view',
+    trash: 'trash.manage'
+};
+
+// Audit log vocabulary: audited resources, actions and field labels
+const AUDIT_RESOURCES = {
+    students: 'Học sinh',
+    scores: 'Điểm',
+    classes: 'Lớp',
+    gradingSchemes: 'Thang điểm',
+    users: 'User'
+};
+
+const AUDIT_ACTIONS = {
+    create: 'Thêm',
+    update: 'Sửa',
+    delete: 'Xóa',
+    restore: 'Khôi phục',
+    purge: 'Xóa vĩnh viễn'
+};
+
+// Resources whose deletes go to the recycle bin rather than away for good
+const TRASH_RESOURCES = ['students', 'classes', 'users'];
+
+const AUDIT_FIELD_LABELS = {
+    tenThanh: 'Tên thánh',
+    hoDem: 'Họ đệm',
+    ten: 'Tên',
+    lop: 'Lớp',
+    ngaySinh: 'Ngày sinh',
+    ngayRuaToi: 'Ngày rửa tội',
+    phuHuynh: 'Phụ huynh',
+    giaoKhu: 'Giáo khu',
+    sdt: 'Số điện thoại',
+    score: 'Điểm',
+    name: 'Tên lớp',
+    description: 'Mô tả',
+    email: 'Email',
+    fullName: 'Họ tên',
+    role: 'Vai trò',
+    assignedClasses: 'Lớp phụ trách',
+    active: 'Kích hoạt',
+    password: 'Mật khẩu',
+    sacraments: 'Bí tích',
+    sacrament: 'Lớp chuẩn bị bí tích',
+    gradingScheme: 'Thang điểm',
+    schoolYear: 'Năm học',
+    types: 'Loại điểm',
+    classifications: 'Xếp loại',
+    passMin: 'Điểm lên lớp'
+};
+
+// "Missing data" filter choices on the Students page
+const MISSING_DATA_FILTERS = [
+    { id: 'any', name: 'Thiếu bất kỳ thông tin nào' },
+    { id: 'ngaySinh', name: 'Thiếu ngày sinh' },
+    { id: 'ngayRuaToi', name: 'Thiếu ngày rửa tội' },
+    { id: 'phuHuynh', name: 'Thiếu phụ huynh' },
+    { id: 'sdt', name: 'Thiếu số điện thoại' },
+    { id: 'giaoKhu', name: 'Thiếu giáo khu' }
+];
+
+// Students page filters that are remembered between visits, with their defaults
+const DEFAULT_STUDENT_FILTERS = {
+    studentsClass: 'all',
+    studentsGiaoKhu: 'all',
+    studentsBirthYear: 'all',
+    studentsAgeMin: '',
+    studentsAgeMax: '',
+    studentsBirthMonth: 'all',
+    studentsMissing: 'all',
+    studentsSort: 'name'
+};
+
+// Student fields and the inputs that edit them in #add-student-form
+const STUDENT_FORM_FIELDS = {
+    tenThanh: 'student-ten-thanh',
+    hoDem: 'student-ho-dem',
+    ten: 'student-ten',
+    lop: 'student-lop',
+    ngaySinh: 'student-ngay-sinh',
+    ngayRuaToi: 'student-ngay-rua-toi',
+    phuHuynh: 'student-phu-huynh',
+    giaoKhu: 'student-giao-khu',
+    sdt: 'student-sdt'
+};
+
+// User fields and the inputs that edit them in #add-user-form
+const USER_FORM_FIELDS = {
+    email: 'user-email',
+    fullName: 'user-fullname',
+    password: 'user-password',
+    role: 'user-role-select',
+    assignedClasses: 'user-assigned-classes',
+    active: 'user-active'
 };
 
 // API Service Layer
@@ -14,9 +311,112 @@ class APIService {
     constructor() {
         this.baseURL = CONFIG.API_BASE_URL;
         this.token = localStorage.getItem(CONFIG.TOKEN_KEY);
+        this.refreshToken = localStorage.getItem(CONFIG.REFRESH_TOKEN_KEY);
+        this.refreshing = null;
+        this.inflight = new Map();  // endpoint -> pending GET promise
+        this.cache = new Map();     // endpoint -> { data, fetchedAt }
+        this.generations = new Map(); // resource -> times its cached reads were invalidated
+        this.cacheEpoch = 0;          // bumped when the whole cache is dropped
     }
 
+    // GETs for the same endpoint share one network request; writes drop the
+    // cached reads of the resource they touch.
     async request(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+
+        if (method !== 'GET') {
+            const data = await this.requestWithRetry(endpoint, options);
+            this.invalidate(endpoint);
+            return data;
+        }
+
+        if (!this.inflight.has(endpoint)) {
+            const pending = this.requestWithRetry(endpoint, options)
+                .finally(() => {
+                    if (this.inflight.get(endpoint) === pending) this.inflight.delete(endpoint);
+                });
+            this.inflight.set(endpoint, pending);
+        }
+        return this.inflight.get(endpoint);
+    }
+
+    // Idempotent requests are retried with exponential backoff on network
+    // errors, timeouts and 5xx/429 responses
+    async requestWithRetry(endpoint, options) {
+        const { retries = CONFIG.RETRY_ATTEMPTS, ...requestOptions } = options;
+        const method = (requestOptions.method || 'GET').toUpperCase();
+        const idempotent = ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, requestOptions);
+            } catch (error) {
+                const transient = !error.status || error.status >= 500 || error.status === 429;
+                if (!idempotent || attempt >= retries || !transient || error.sessionExpired) throw error;
+
+                const delay = CONFIG.RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 100;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Stale-while-revalidate read. A cached copy is returned straight away and,
+    // once older than CACHE_FRESH_MS, refreshed in the background; onRevalidate
+    // gets the new data if it changed. fresh: true skips the cached copy.
+    // A response to a read that was in flight when a write invalidated the
+    // resource predates that write, so it is never cached.
+    async cachedGet(endpoint, { fresh = false, onRevalidate = null } = {}) {
+        const entry = this.cache.get(endpoint);
+        const generation = this.generation(endpoint);
+
+        if (entry && !fresh) {
+            if (Date.now() - entry.fetchedAt > CONFIG.CACHE_FRESH_MS) {
+                this.request(endpoint)
+                    .then(data => {
+                        if (this.generation(endpoint) !== generation) return;
+                        this.cache.set(endpoint, { data, fetchedAt: Date.now() });
+                        if (onRevalidate && JSON.stringify(data) !== JSON.stringify(entry.data)) onRevalidate(data);
+                    })
+                    .catch(error => console.error('Revalidate error:', endpoint, error));
+            }
+            return entry.data;
+        }
+
+        const data = await this.request(endpoint);
+        if (this.generation(endpoint) === generation) {
+            this.cache.set(endpoint, { data, fetchedAt: Date.now() });
+        }
+        return data;
+    }
+
+    // "/students/ST001?schoolYear=..." -> "/students"
+    resourceOf(endpoint) {
+        return '/' + endpoint.split(/[/?]/)[1];
+    }
+
+    generation(endpoint) {
+        return `${this.cacheEpoch}:${this.generations.get(this.resourceOf(endpoint)) || 0}`;
+    }
+
+    clearCache() {
+        this.cacheEpoch++;
+        this.cache.clear();
+        this.inflight.clear();
+    }
+
+    // Drop cached reads for the resource an endpoint belongs to
+    // ("/students/ST001" clears "/students", "/students/ST002", ...).
+    // GETs still in flight are no longer shared with later reads either.
+    invalidate(endpoint) {
+        const resource = this.resourceOf(endpoint);
+        const belongs = key => key === resource || key.startsWith(resource + '/') || key.startsWith(resource + '?');
+
+        this.generations.set(resource, (this.generations.get(resource) || 0) + 1);
+        [...this.cache.keys()].filter(belongs).forEach(key => this.cache.delete(key));
+        [...this.inflight.keys()].filter(belongs).forEach(key => this.inflight.delete(key));
+    }
+
+    async send(endpoint, options = {}, isRetry = false) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             headers: {
@@ -49,8 +449,26 @@ class APIService {
                 data = { message: await response.text() };
             }
 
+            // Expired session: refresh the token once and replay the request.
+            // Auth endpoints report bad credentials with 401 themselves.
+            if (response.status === 401 && this.token && !endpoint.startsWith('/auth/')) {
+                if (!isRetry && await this.refreshSession()) {
+                    return await this.send(endpoint, options, true);
+                }
+                AuthManager.handleSessionExpired();
+                const error = new Error('Phiên đăng nhập đã hết hạn');
+                error.status = 401;
+                error.sessionExpired = true;
+                throw error;
+            }
+
             if (!response.ok) {
-                throw new Error(data.message || `HTTP ${response.status}`);
+                const message = response.status === 403
+                    ? 'Bạn không có quyền thực hiện thao tác này'
+                    : data.message || `HTTP ${response.status}`;
+                const error = new Error(message);
+                error.status = response.status;
+                throw error;
             }
 
             return data;
@@ -69,7 +487,46 @@ class APIService {
             localStorage.setItem(CONFIG.TOKEN_KEY, token);
         } else {
             localStorage.removeItem(CONFIG.TOKEN_KEY);
+            this.setRefreshToken(null);
+            this.clearCache();
+        }
+    }
+
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem(CONFIG.REFRESH_TOKEN_KEY, refreshToken);
+        } else {
+            localStorage.removeItem(CONFIG.REFRESH_TOKEN_KEY);
+        }
+    }
+
+    // Exchange the refresh token for a new access token. Concurrent 401s share
+    // one refresh; resolves to false when there is nothing to refresh with.
+    async refreshSession() {
+        if (!this.refreshToken) return false;
+
+        if (!this.refreshing) {
+            this.refreshing = this.request('/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(data => {
+                    this.setToken(data.token);
+                    if (data.refreshToken) this.setRefreshToken(data.refreshToken);
+                    AuthManager.scheduleExpiryWarning();
+                    return true;
+                })
+                .catch(error => {
+                    console.error('Refresh session error:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
         }
+
+        return this.refreshing;
     }
 
     // Auth endpoints
@@ -78,7 +535,10 @@ class APIService {
             method: 'POST',
             body: JSON.stringify({ email, password })
         });
+        // Cached reads were scoped to whoever was signed in before
+        this.clearCache();
         this.setToken(data.token);
+        if (data.refreshToken) this.setRefreshToken(data.refreshToken);
         return data;
     }
 
@@ -95,15 +555,20 @@ class APIService {
         return await this.request('/auth/verify');
     }
 
-    // Students endpoints
-    async getStudents() {
-        return await this.request('/students');
+    // Students endpoints. Rosters, classes and scores are per school year.
+    async getStudents(schoolYear, cacheOptions) {
+        return await this.cachedGet(`/students?schoolYear=${encodeURIComponent(schoolYear)}`, cacheOptions);
     }
 
     async getStudent(id) {
         return await this.request(`/students/${id}`);
     }
 
+    // Every school year the student was enrolled in, with that year's class and scores
+    async getStudentHistory(id) {
+        return await this.request(`/students/${id}/history`);
+    }
+
     async createStudent(data) {
         return await this.request('/students', {
             method: 'POST',
@@ -118,15 +583,14 @@ class APIService {
         });
     }
 
+    // Deleting moves the student to the recycle bin; see purgeFromTrash
     async deleteStudent(id) {
-        return await this.request(`/students/${id}`, {
-            method: 'DELETE'
-        });
+        return await this.moveToTrash('students', id);
     }
 
     // Users endpoints
-    async getUsers() {
-        return await this.request('/users');
+    async getUsers(cacheOptions) {
+        return await this.cachedGet('/users', cacheOptions);
     }
 
     async createUser(data) {
@@ -144,14 +608,12 @@ class APIService {
     }
 
     async deleteUser(id) {
-        return await this.request(`/users/${id}`, {
-            method: 'DELETE'
-        });
+        return await this.moveToTrash('users', id);
     }
 
     // Classes endpoints
-    async getClasses() {
-        return await this.request('/classes');
+    async getClasses(schoolYear, cacheOptions) {
+        return await this.cachedGet(`/classes?schoolYear=${encodeURIComponent(schoolYear)}`, cacheOptions);
     }
 
     async createClass(data) {
@@ -169,18 +631,79 @@ class APIService {
     }
 
     async deleteClass(id) {
-        return await this.request(`/classes/${id}`, {
+        return await this.moveToTrash('classes', id);
+    }
+
+    // Grading scheme endpoints
+    async getGradingSchemes(cacheOptions) {
+        return await this.cachedGet('/grading-schemes', cacheOptions);
+    }
+
+    async createGradingScheme(data) {
+        return await this.request('/grading-schemes', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async updateGradingScheme(id, data) {
+        return await this.request(`/grading-schemes/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async deleteGradingScheme(id) {
+        return await this.request(`/grading-schemes/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Recycle bin endpoints. Deleted students, classes and users stay in the bin,
+    // with who deleted them and when, until restored or purged.
+    async getTrash() {
+        return await this.request('/trash');
+    }
+
+    async moveToTrash(resource, id) {
+        const data = await this.request('/trash', {
+            method: 'POST',
+            body: JSON.stringify({ resource, id })
+        });
+        this.invalidateTrashed(resource);
+        return data;
+    }
+
+    async restoreFromTrash(resource, id) {
+        const data = await this.request(`/trash/${resource}/${id}/restore`, {
+            method: 'POST'
+        });
+        this.invalidateTrashed(resource);
+        return data;
+    }
+
+    async purgeFromTrash(resource, id) {
+        const data = await this.request(`/trash/${resource}/${id}`, {
             method: 'DELETE'
         });
+        this.invalidateTrashed(resource);
+        return data;
+    }
+
+    // Bin requests go to /trash, so the reads of the record's own resource
+    // (and a student's scores) have to be dropped by hand
+    invalidateTrashed(resource) {
+        this.invalidate('/' + resource);
+        if (resource === 'students') this.invalidate('/scores');
     }
 
     // Scores endpoints
-    async getScores() {
-        return await this.request('/scores');
+    async getScores(schoolYear, cacheOptions) {
+        return await this.cachedGet(`/scores?schoolYear=${encodeURIComponent(schoolYear)}`, cacheOptions);
     }
 
-    async getStudentScores(studentId) {
-        return await this.request(`/scores/student/${studentId}`);
+    async getStudentScores(studentId, schoolYear) {
+        return await this.request(`/scores/student/${studentId}?schoolYear=${encodeURIComponent(schoolYear)}`);
     }
 
     async createScore(data) {
@@ -203,10 +726,36 @@ class APIService {
         });
     }
 
+    // Attendance endpoints
+    async getAttendance(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return await this.request(`/attendance${query ? '?' + query : ''}`);
+    }
+
+    async saveAttendance(data) {
+        return await this.request('/attendance', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    // Audit log endpoints
+    async getAuditLog(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return await this.request(`/audit${query ? '?' + query : ''}`);
+    }
+
+    async createAuditEntry(entry) {
+        return await this.request('/audit', {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+    }
+
     // Health check
     async checkHealth() {
         try {
-            await this.request('/health');
+            await this.request('/health', { retries: 0 });
             return true;
         } catch {
             return false;
@@ -224,14 +773,50 @@ const state = {
     students: [],
     users: [],
     classes: [],
+    gradingSchemes: [],
     scores: {},
+    attendance: [],
+    // Năm học whose classes, rosters and scores are loaded; past years are read-only
+    schoolYear: getSchoolYear(),
     filters: {
-        studentsClass: 'all',
+        ...DEFAULT_STUDENT_FILTERS,
         scoresClass: 'all',
-        scoreType: 'GK1'
+        scoreType: 'GK1',
+        attendanceClass: 'all',
+        attendanceDate: null,
+        auditResource: 'all',
+        auditAction: 'all',
+        auditActor: 'all',
+        auditFrom: '',
+        auditTo: '',
+        sacramentType: 'RUOC_LE',
+        sacramentClass: 'all',
+        sacramentDate: null,
+        calendarClass: 'all',
+        trashResource: 'all',
+        // YYYY-MM shown on the Calendar page; null means the current month
+        calendarMonth: null
     },
     search: '',
+    // Student ids ticked on the grid, and the last one clicked (the shift-click anchor)
+    selectedStudents: new Set(),
+    selectionAnchor: null,
+    // Bulk change waiting out its undo window: { message, studentIds, commit, secondsLeft, timer }
+    pendingBulk: null,
     editingItem: null,
+    importSession: null,
+    // Report card comments typed this session, keyed "studentId:semesterId"
+    reportComments: {},
+    // Sandbox mode's working copy of the demo data, keyed like the offline cache
+    sandboxData: {},
+    // Next school year's classes while the promotion wizard is open: { schoolYear, classes }
+    promotion: null,
+    // Audit entries recorded in this session (all of them in sandbox mode)
+    auditLog: [],
+    // Records deleted in this session (the whole recycle bin in sandbox mode)
+    trash: [],
+    // 'live' (the backend, or its offline cache) or 'sandbox' (bundled demo data)
+    dataSource: localStorage.getItem(CONFIG.DATA_SOURCE_KEY) === 'sandbox' ? 'sandbox' : 'live',
     isOnline: false
 };
 
@@ -268,7 +853,10 @@ const demoData = {
             ngayRuaToi: "2010-05-20",
             phuHuynh: "Nguyễn Văn Minh",
             giaoKhu: "Giáo khu A",
-            sdt: "0901234567"
+            sdt: "0901234567",
+            sacraments: {
+                RUOC_LE: { date: "2019-06-02", parish: "Kim Thành", minister: "Lm. Phêrô Nguyễn Văn Hòa" }
+            }
         },
         {
             id: "ST002",
@@ -288,11 +876,63 @@ const demoData = {
         { id: "TL3B", name: "Toán Lý 3B" },
         { id: "SD1A", name: "Sinh Địa 1A" }
     ],
+    gradingSchemes: [
+        {
+            id: "GS001",
+            name: "Ngành Nghĩa - có điểm kinh",
+            schoolYear: "",
+            types: [
+                { id: "KINH1", name: "Kinh HK1", weight: 1, semester: "HK1" },
+                { id: "GK1", name: "Giữa kỳ 1", weight: 1, semester: "HK1" },
+                { id: "HK1", name: "Học kỳ 1", weight: 3, semester: "HK1" },
+                { id: "KINH2", name: "Kinh HK2", weight: 1, semester: "HK2" },
+                { id: "GK2", name: "Giữa kỳ 2", weight: 1, semester: "HK2" },
+                { id: "HK2", name: "Học kỳ 2", weight: 3, semester: "HK2" }
+            ],
+            classifications: [
+                { id: "GIOI", name: "Giỏi", min: 8.5 },
+                { id: "KHA", name: "Khá", min: 7 },
+                { id: "TRUNG_BINH", name: "Trung bình", min: 5 },
+                { id: "YEU", name: "Yếu", min: 0 }
+            ],
+            passMin: 5
+        }
+    ],
     scores: {
         "ST001": {
             "GK1": { score: 8.5, date: "2024-01-15" },
             "HK1": { score: 8.8, date: "2024-01-20" }
         }
+    },
+    attendance: [
+        { id: "AT001", studentId: "ST001", classId: "TL3B", date: "2024-01-07", status: "PRESENT" },
+        { id: "AT002", studentId: "ST001", classId: "TL3B", date: "2024-01-14", status: "ABSENT" },
+        { id: "AT003", studentId: "ST002", classId: "TL3A", date: "2024-01-07", status: "EXCUSED" }
+    ],
+    // Earlier school years. Rosters only record each student's class that year;
+    // everything else about the student is taken from the records above.
+    archive: {
+        [shiftSchoolYear(getSchoolYear(), -1)]: {
+            classes: [
+                { id: "TL2A", name: "Toán Lý 2A" },
+                { id: "TL2B", name: "Toán Lý 2B" }
+            ],
+            enrollments: { "ST001": "TL2B", "ST002": "TL2A" },
+            scores: {
+                "ST001": {
+                    "GK1": { score: 7.5, date: "2023-11-12" },
+                    "HK1": { score: 8, date: "2024-01-14" },
+                    "GK2": { score: 8.5, date: "2024-03-17" },
+                    "HK2": { score: 9, date: "2024-05-19" }
+                },
+                "ST002": {
+                    "GK1": { score: 6, date: "2023-11-12" },
+                    "HK1": { score: 7, date: "2024-01-14" },
+                    "GK2": { score: 6.5, date: "2024-03-17" },
+                    "HK2": { score: 7.5, date: "2024-05-19" }
+                }
+            }
+        }
     }
 };
 
@@ -347,11 +987,16 @@ function updateConnectionStatus(isOnline) {
             text.textContent = 'Đã kết nối';
         } else {
             indicator.className = 'status-indicator offline';
-            text.textContent = 'Mất kết nối - Chế độ demo';
+            text.textContent = 'Mất kết nối máy chủ';
         }
     }
 }
 
+// Whether reads and writes go to the backend right now (live mode and reachable)
+function isLiveBackend() {
+    return state.dataSource === 'live' && state.isOnline;
+}
+
 function generateId(prefix = 'ID') {
     return prefix + Date.now() + Math.floor(Math.random() * 1000);
 }
@@ -365,6 +1010,12 @@ function getFullName(student) {
     return `${student.hoDem} ${student.ten}`;
 }
 
+// Text from imported files or free-text fields, made safe to put into markup
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
 function getAvatarColor(id) {
     const colors = ['avatar-color-1', 'avatar-color-2', 'avatar-color-3', 'avatar-color-4', 'avatar-color-5', 'avatar-color-6', 'avatar-color-7', 'avatar-color-8', 'avatar-color-9', 'avatar-color-10'];
     let hash = 0;
@@ -378,13 +1029,154 @@ function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('vi-VN');
 }
 
+function formatDateTime(dateString) {
+    return new Date(dateString).toLocaleString('vi-VN');
+}
+
+// Chart palette from the design system; beyond it, colours are spread around the hue wheel
+const CHART_PALETTE = ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'];
+
+function getChartColors(count) {
+    return Array.from({ length: count }, (_, i) => i < CHART_PALETTE.length
+        ? CHART_PALETTE[i]
+        : `hsl(${Math.round(i * 137.5) % 360}, 55%, 55%)`);
+}
+
+// Vietnamese rosters are ordered by given name, then middle name, then saint name
+const vietnameseCollator = new Intl.Collator('vi');
+
+function compareVietnameseNames(a, b) {
+    return vietnameseCollator.compare(a.ten || '', b.ten || '') ||
+        vietnameseCollator.compare(a.hoDem || '', b.hoDem || '') ||
+        vietnameseCollator.compare(a.tenThanh || '', b.tenThanh || '');
+}
+
+// Catechism years run September to August, e.g. '2025-2026'
+function getSchoolYear(date = getToday()) {
+    const [year, month] = date.split('-').map(Number);
+    const start = month >= 9 ? year : year - 1;
+    return `${start}-${start + 1}`;
+}
+
+// The school year offset years before (negative) or after the given one
+function shiftSchoolYear(schoolYear, offset) {
+    const start = Number(schoolYear.slice(0, 4)) + offset;
+    return `${start}-${start + 1}`;
+}
+
+// Age in whole years on the given date (default today), or null without a birth date
+function getAge(birthDate, onDate = getToday()) {
+    if (!birthDate) return null;
+    const [year, month, day] = birthDate.split('-').map(Number);
+    const [onYear, onMonth, onDay] = onDate.split('-').map(Number);
+    return onYear - year - (onMonth < month || (onMonth === month && onDay < day) ? 1 : 0);
+}
+
+// YYYY-MM-DD -> dd/mm/yyyy, the format the import accepts back
+function formatDateDMY(dateString) {
+    const [year, month, day] = String(dateString || '').split('-');
+    return day ? `${day}/${month}/${year}` : '';
+}
+
+// Local date as YYYY-MM-DD (toISOString alone would give the UTC date)
+function getToday() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+}
+
+// Lowercase and strip Vietnamese diacritics ("Nguyễn Đức" -> "nguyen duc")
+function foldVietnamese(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase()
+        .trim();
+}
+
+function toISODate(date) {
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().split('T')[0];
+}
+
+// Parse the date formats found in parish spreadsheets: dd/mm/yyyy (also with
+// "-" or "." and two-digit years), ISO yyyy-mm-dd, Date cells and Excel serials.
+// Returns YYYY-MM-DD, or '' when the value isn't a real date.
+function parseVietnameseDate(value) {
+    if (value instanceof Date) return isNaN(value) ? '' : toISODate(value);
+    if (typeof value === 'number') {
+        // Excel serial date: days since 1899-12-30
+        return new Date(Math.round((value - 25569) * 86400000)).toISOString().split('T')[0];
+    }
+
+    const text = String(value || '').trim();
+    let day, month, year;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+        [, day, month, year] = match.map(Number);
+        if (year < 100) {
+            const currentYear = new Date().getFullYear() % 100;
+            year += year <= currentYear ? 2000 : 1900;
+        }
+    } else {
+        return '';
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return '';
+    return toISODate(date);
+}
+
+// Vietnamese mobile numbers: 10 digits starting 03/05/07/08/09, or +84 instead of the 0
+function normalizePhone(phone) {
+    const digits = String(phone).replace(/[\s.\-()]/g, '');
+    return digits.startsWith('+84') ? '0' + digits.slice(3) : digits;
+}
+
+function isValidPhone(phone) {
+    return /^0[35789]\d{8}$/.test(normalizePhone(phone));
+}
+
+// Spreadsheets store phone numbers as numbers and drop the leading 0
+function restorePhoneZero(phone) {
+    const digits = normalizePhone(phone);
+    return /^[35789]\d{8}$/.test(digits) ? '0' + digits : digits;
+}
+
+// Most recent Sunday (today if it is Sunday) as YYYY-MM-DD
+function getLastSunday() {
+    const date = new Date(getToday() + 'T00:00:00');
+    date.setDate(date.getDate() - date.getDay());
+    return toISODate(date);
+}
+
+// Parse a score typed by the user; accepts "8,5" as well as "8.5".
+// Returns null for an empty input and NaN for anything outside 0-10.
+function parseScore(input) {
+    const value = String(input).trim().replace(',', '.');
+    if (value === '') return null;
+    const score = Number(value);
+    if (isNaN(score) || score < 0 || score > 10) return NaN;
+    return Math.round(score * 100) / 100;
+}
+
 // Authentication Management
 class AuthManager {
-    static async login(email, password) {
+    static async login(email, password, dataSource = 'live') {
         try {
-            if (!state.isOnline) {
-                // Demo login for offline mode
+            state.dataSource = dataSource;
+            localStorage.setItem(CONFIG.DATA_SOURCE_KEY, dataSource);
+
+            if (dataSource === 'sandbox') {
+                // Sandbox login against the bundled demo accounts; no backend session
+                api.setToken(null);
                 const user = demoData.users.find(u => u.email === email && u.password === password);
+                if (user && user.active === false) {
+                    throw new Error('Tài khoản đã bị khóa');
+                }
                 if (user) {
                     const userData = { ...user };
                     delete userData.password;
@@ -395,10 +1187,21 @@ class AuthManager {
                     throw new Error('Email hoặc mật khẩu không chính xác');
                 }
             }
+
+            if (!state.isOnline) {
+                throw new Error('Không kết nối được máy chủ. Chọn chế độ Sandbox nếu chỉ muốn dùng thử.');
+            }
             
             const response = await api.login(email, password);
+
+            // Offline changes left by an expired session belong to that user only
+            if (this.suspendedSession && this.suspendedSession.userId !== response.user.id) {
+                await OfflineStore.clear().catch(error => console.error('Clear offline cache error:', error));
+            }
+
             state.currentUser = response.user;
             localStorage.setItem(CONFIG.USER_KEY, JSON.stringify(response.user));
+            this.scheduleExpiryWarning();
             return response.user;
         } catch (error) {
             throw error;
@@ -407,13 +1210,19 @@ class AuthManager {
 
     static async logout() {
         try {
-            if (state.isOnline) {
+            if (isLiveBackend()) {
                 await api.logout();
             }
         } finally {
             state.currentUser = null;
+            this.suspendedSession = null;
+            this.clearExpiryTimers();
+            DataManager.resetState();
+            api.setToken(null);
             localStorage.removeItem(CONFIG.USER_KEY);
-            localStorage.removeItem(CONFIG.TOKEN_KEY);
+            // The offline copy belongs to this session only
+            await OfflineStore.clear().catch(error => console.error('Clear offline cache error:', error));
+            SyncManager.updateIndicator();
         }
     }
 
@@ -435,11 +1244,19 @@ class AuthManager {
 
     static async verifySession() {
         try {
-            if (!state.isOnline) return false;
+            if (!isLiveBackend()) return false;
             
-            const response = await api.verifyToken();
+            let response;
+            try {
+                response = await api.verifyToken();
+            } catch (error) {
+                // The stored access token may simply have expired since the last visit
+                if (error.status !== 401 || !await api.refreshSession()) throw error;
+                response = await api.verifyToken();
+            }
             state.currentUser = response.user;
             localStorage.setItem(CONFIG.USER_KEY, JSON.stringify(response.user));
+            this.scheduleExpiryWarning();
             return true;
         } catch {
             this.logout();
@@ -447,19 +1264,101 @@ class AuthManager {
         }
     }
 
-    static hasPermission(permission) {
+    // Expiry time (ms) from a JWT's exp claim; null for tokens we can't read
+    static getTokenExpiry(token = api.token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const { exp } = JSON.parse(atob(payload));
+            return exp ? exp * 1000 : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static clearExpiryTimers() {
+        clearTimeout(this.expiryWarningTimer);
+        clearTimeout(this.expiryTimer);
+        UIManager.hideSessionWarning();
+    }
+
+    // Warn a little before the token runs out; at expiry try a silent refresh
+    static scheduleExpiryWarning() {
+        this.clearExpiryTimers();
+
+        const expiresAt = this.getTokenExpiry();
+        // setTimeout can't wait longer than ~24 days
+        if (!expiresAt || expiresAt - Date.now() > 0x7fffffff) return;
+
+        this.expiryWarningTimer = setTimeout(() => {
+            UIManager.showSessionWarning(expiresAt);
+        }, Math.max(0, expiresAt - CONFIG.SESSION_WARNING_BEFORE - Date.now()));
+
+        this.expiryTimer = setTimeout(async () => {
+            if (!await api.refreshSession()) this.handleSessionExpired();
+        }, Math.max(0, expiresAt - Date.now()));
+    }
+
+    // The server rejected our token and it couldn't be refreshed. Go back to the
+    // login page without touching the app's DOM, so open forms keep their input
+    // and reappear if the same user signs in again.
+    static handleSessionExpired() {
+        const user = state.currentUser;
+        if (!user) return;
+
+        const openModals = [...document.querySelectorAll('.modal:not(.hidden)')].map(modal => modal.id);
+        openModals.forEach(id => document.getElementById(id).classList.add('hidden'));
+        this.suspendedSession = { userId: user.id, openModals };
+
+        this.clearExpiryTimers();
+        UIManager.pauseBulkAction();
+        state.currentUser = null;
+        api.setToken(null);
+        localStorage.removeItem(CONFIG.USER_KEY);
+
+        UIManager.showLoginPage();
+        UIManager.showLoginMessage('Phiên đăng nhập đã hết hạn. Đăng nhập lại để tiếp tục, dữ liệu đang nhập vẫn được giữ.');
+        const emailInput = document.getElementById('login-email');
+        if (emailInput) emailInput.value = user.email || '';
+    }
+
+    // The session suspended by handleSessionExpired, if the same user is back
+    static takeSuspendedSession(user) {
+        const suspended = this.suspendedSession;
+        this.suspendedSession = null;
+        return suspended && user && suspended.userId === user.id ? suspended : null;
+    }
+
+    // Classes the current user is limited to, or null when they may see every class
+    static getClassScope() {
+        const user = this.getCurrentUser();
+        if (!user || user.role === 'ADMIN') return null;
+
+        const assigned = user.assignedClasses || [];
+        return assigned.includes('ALL') ? null : assigned;
+    }
+
+    // Whether the current user may perform an action, optionally on a given class
+    static can(action, classId = null) {
         const user = this.getCurrentUser();
         if (!user) return false;
-        
-        switch (permission) {
-            case 'admin':
-                return user.role === 'ADMIN';
-            case 'teacher':
-                return user.role === 'ADMIN' || user.role === 'TEACHER';
-            case 'guest':
-                return true;
-            default:
-                return false;
+
+        const allowed = PERMISSIONS[user.role] || [];
+        if (!allowed.includes(action)) return false;
+        if (ARCHIVE_LOCKED_ACTIONS.includes(action) && DataManager.isArchivedYear()) return false;
+
+        if (classId && CLASS_SCOPED_ACTIONS.includes(action)) {
+            const scope = this.getClassScope();
+            return !scope || scope.includes(classId);
+        }
+        return true;
+    }
+
+    static requirePermission(action, classId = null) {
+        if (ARCHIVE_LOCKED_ACTIONS.includes(action) && DataManager.isArchivedYear()) {
+            throw new Error(`Năm học ${state.schoolYear} đã lưu trữ, chỉ xem được`);
+        }
+        if (!this.can(action, classId)) {
+            throw new Error('Bạn không có quyền thực hiện thao tác này');
         }
     }
 }
@@ -468,446 +1367,5541 @@ class AuthManager {
 class DataManager {
     static async loadStudents() {
         try {
-            if (!state.isOnline) {
-                state.students = [...demoData.students];
+            if (!isLiveBackend()) {
+                state.students = await this.loadOffline('students');
                 return;
             }
             
-            const response = await api.getStudents();
+            const schoolYear = state.schoolYear;
+            const response = await api.getStudents(schoolYear, { onRevalidate: data => this.applyRevalidated('students', data.students || data, schoolYear) });
+            // The user may have switched years while this was loading
+            if (schoolYear !== state.schoolYear) return;
             state.students = response.students || response;
+            this.cacheResource('students');
         } catch (error) {
-            showToast('Lỗi tải danh sách học sinh', 'error');
             console.error('Load students error:', error);
-            // Fallback to demo data
-            state.students = [...demoData.students];
+            throw error;
         }
     }
 
     static async loadUsers() {
         try {
-            if (!state.isOnline) {
-                state.users = [...demoData.users];
+            if (!isLiveBackend()) {
+                state.users = await this.loadOffline('users');
                 return;
             }
             
-            const response = await api.getUsers();
+            const response = await api.getUsers({ onRevalidate: data => this.applyRevalidated('users', data.users || data) });
             state.users = response.users || response;
         } catch (error) {
-            showToast('Lỗi tải danh sách người dùng', 'error');
             console.error('Load users error:', error);
-            state.users = [...demoData.users];
+            throw error;
         }
     }
 
     static async loadClasses() {
         try {
-            if (!state.isOnline) {
-                state.classes = [...demoData.classes];
+            if (!isLiveBackend()) {
+                state.classes = await this.loadOffline('classes');
                 return;
             }
             
-            const response = await api.getClasses();
+            const schoolYear = state.schoolYear;
+            const response = await api.getClasses(schoolYear, { onRevalidate: data => this.applyRevalidated('classes', data.classes || data, schoolYear) });
+            // The user may have switched years while this was loading
+            if (schoolYear !== state.schoolYear) return;
             state.classes = response.classes || response;
+            this.cacheResource('classes');
         } catch (error) {
-            showToast('Lỗi tải danh sách lớp học', 'error');
             console.error('Load classes error:', error);
-            state.classes = [...demoData.classes];
+            throw error;
+        }
+    }
+
+    static async loadGradingSchemes() {
+        try {
+            if (!isLiveBackend()) {
+                state.gradingSchemes = await this.loadOffline('gradingSchemes');
+                return;
+            }
+
+            const response = await api.getGradingSchemes({ onRevalidate: data => this.applyRevalidated('gradingSchemes', data.gradingSchemes || data) });
+            state.gradingSchemes = response.gradingSchemes || response;
+            this.cacheResource('gradingSchemes');
+        } catch (error) {
+            // A backend without grading schemes grades every class by the default
+            if (error.status === 404) {
+                state.gradingSchemes = [];
+                return;
+            }
+            console.error('Load grading schemes error:', error);
+            throw error;
         }
     }
 
     static async loadScores() {
         try {
-            if (!state.isOnline) {
-                state.scores = { ...demoData.scores };
+            if (!isLiveBackend()) {
+                state.scores = await this.loadOffline('scores');
                 return;
             }
             
-            const response = await api.getScores();
+            const schoolYear = state.schoolYear;
+            const response = await api.getScores(schoolYear, { onRevalidate: data => this.applyRevalidated('scores', data.scores || data, schoolYear) });
+            // The user may have switched years while this was loading
+            if (schoolYear !== state.schoolYear) return;
             state.scores = response.scores || response;
+            this.cacheResource('scores');
         } catch (error) {
-            showToast('Lỗi tải điểm số', 'error');
             console.error('Load scores error:', error);
-            state.scores = { ...demoData.scores };
+            throw error;
         }
     }
 
-    static getFilteredStudents() {
-        let filtered = [...state.students];
-        const user = AuthManager.getCurrentUser();
-        
-        // Apply role-based filtering
-        if (user && user.role === 'TEACHER' && user.assignedClasses && !user.assignedClasses.includes('ALL')) {
-            filtered = filtered.filter(student => user.assignedClasses.includes(student.lop));
-        }
-        
-        // Apply class filter
-        if (state.filters.studentsClass !== 'all') {
-            filtered = filtered.filter(student => student.lop === state.filters.studentsClass);
-        }
-        
-        // Apply search filter
-        if (state.search) {
-            const searchTerm = state.search.toLowerCase();
-            filtered = filtered.filter(student => {
-                const fullName = getFullName(student).toLowerCase();
-                const saintName = (student.tenThanh || '').toLowerCase();
-                const studentId = (student.id || '').toLowerCase();
-                return fullName.includes(searchTerm) || 
-                       saintName.includes(searchTerm) || 
-                       studentId.includes(searchTerm);
-            });
-        }
-        
-        return filtered;
+    // Forget loaded records so nothing carries over between sessions or data sources
+    static resetState() {
+        state.schoolYear = getSchoolYear();
+        state.students = [];
+        state.classes = [];
+        state.gradingSchemes = [];
+        state.scores = {};
+        state.users = [];
+        state.attendance = [];
+        state.auditLog = [];
+        state.trash = [];
+        state.reportComments = {};
+        state.sandboxData = {};
+        state.promotion = null;
+        state.selectedStudents.clear();
+        state.selectionAnchor = null;
+        // A change left waiting by someone else's expired session is not saved
+        if (state.pendingBulk) clearInterval(state.pendingBulk.timer);
+        state.pendingBulk = null;
     }
 
-    static getClassName(classId) {
-        const classItem = state.classes.find(c => c.id === classId);
-        return classItem ? classItem.name : classId;
+    // Newer data arrived in the background for a resource shown from cache.
+    // Year-scoped data is dropped if another school year was picked since.
+    static applyRevalidated(resource, data, schoolYear = null) {
+        if (schoolYear && schoolYear !== state.schoolYear) return;
+        state[resource] = data;
+        if (resource !== 'users') this.cacheResource(resource);
+        UIManager.refreshCurrentPage();
     }
-}
 
-// UI Management
-class UIManager {
-    static showLoginPage() {
-        const loginPage = document.getElementById('login-page');
-        const mainApp = document.getElementById('main-app');
-        
-        if (loginPage && mainApp) {
-            loginPage.classList.remove('hidden');
-            mainApp.classList.add('hidden');
+    // Local copy of a resource: the sandbox session's working copy of the
+    // demo data, the IndexedDB cache for a live session that is offline. Live
+    // sessions never get demo records; without a cached copy there is nothing to show.
+    static async loadOffline(resource, schoolYear = state.schoolYear) {
+        if (state.dataSource === 'sandbox') {
+            const key = this.cacheKey(resource, schoolYear);
+            if (!(key in state.sandboxData)) {
+                state.sandboxData[key] = structuredClone(this.getDemoRecords(resource, schoolYear));
+            }
+            return structuredClone(state.sandboxData[key]);
         }
+
+        const cached = api.token
+            ? await OfflineStore.getCached(this.cacheKey(resource, schoolYear)).catch(error => {
+                console.error('Read offline cache error:', error);
+                return null;
+            })
+            : null;
+        if (cached) return cached;
+
+        throw new Error('Mất kết nối máy chủ và chưa có bản lưu ngoại tuyến');
     }
 
-    static showMainApp() {
-        const loginPage = document.getElementById('login-page');
-        const mainApp = document.getElementById('main-app');
-        
-        if (loginPage && mainApp) {
-            loginPage.classList.add('hidden');
-            mainApp.classList.remove('hidden');
-            this.updateUserInfo();
-            this.showPage('students');
+    static cacheResource(resource) {
+        // Queued audit entries live only in the mutation queue
+        if (resource === 'audit') return;
+
+        if (state.dataSource === 'sandbox') {
+            this.keepSandboxCopy(resource);
+            return;
         }
-    }
+        if (!api.token) return;
 
-    static updateUserInfo() {
-        const user = AuthManager.getCurrentUser();
-        if (!user) return;
-        
-        const roleEl = document.getElementById('user-role');
-        const nameEl = document.getElementById('user-name');
-        
-        if (roleEl) roleEl.textContent = user.role;
-        if (nameEl) nameEl.textContent = user.fullName;
-        
-        // Show/hide admin items
-        const adminItems = document.querySelectorAll('.navbar__item--admin');
-        adminItems.forEach(item => {
-            item.classList.toggle('show', AuthManager.hasPermission('admin'));
+        const key = resource === 'attendance' ? this.attendanceKey(state.filters.attendanceClass) : this.cacheKey(resource);
+        OfflineStore.setCached(key, state[resource]).catch(error => {
+            console.error('Write offline cache error:', error);
         });
     }
 
-    static showPage(pageId) {
-        // Hide all pages
-        document.querySelectorAll('.page').forEach(page => {
-            page.classList.add('hidden');
-        });
-        
-        // Show selected page
-        const page = document.getElementById(pageId + '-page');
-        if (page) {
-            page.classList.remove('hidden');
-        }
-        
-        // Update navigation
-        document.querySelectorAll('.navbar__item').forEach(item => {
-            item.classList.remove('navbar__item--active');
-        });
-        
-        const activeItem = document.querySelector(`[data-page="${pageId}"]`);
-        if (activeItem) {
-            activeItem.classList.add('navbar__item--active');
+    // Sandbox changes go to the session's working copy so the next load sees
+    // them. Only one class's attendance is loaded at a time, so it is merged by id.
+    static keepSandboxCopy(resource) {
+        const key = this.cacheKey(resource);
+        let data = structuredClone(state[resource]);
+        if (resource === 'attendance') {
+            const kept = new Set(data.map(record => record.id));
+            const others = (state.sandboxData[key] || this.getDemoRecords(resource))
+                .filter(record => !kept.has(record.id));
+            data = others.concat(data);
         }
-        
-        state.currentPage = pageId;
-        
-        // Load page content
-        this.loadPageContent(pageId);
+        state.sandboxData[key] = data;
     }
 
-    static async loadPageContent(pageId) {
-        showLoading(true);
-        
-        try {
-            switch(pageId) {
-                case 'students':
-                    await DataManager.loadStudents();
-                    await DataManager.loadClasses();
-                    this.renderStudentsPage();
-                    break;
-                case 'scores':
-                    await DataManager.loadStudents();
-                    await DataManager.loadClasses();
-                    await DataManager.loadScores();
-                    this.renderScoresPage();
-                    break;
-                case 'dashboard':
-                    await Promise.all([
-                        DataManager.loadStudents(),
-                        DataManager.loadClasses(),
-                        DataManager.loadScores()
-                    ]);
-                    this.renderDashboard();
-                    break;
-                case 'users':
-                    if (AuthManager.hasPermission('admin')) {
-                        await DataManager.loadUsers();
-                        this.renderUsersPage();
-                    }
-                    break;
-                case 'classes':
-                    if (AuthManager.hasPermission('admin')) {
-                        await DataManager.loadClasses();
-                        this.renderClassesPage();
-                    }
-                    break;
-            }
-        } catch (error) {
-            showToast('Lỗi tải dữ liệu trang', 'error');
-            console.error('Load page error:', error);
-        } finally {
-            showLoading(false);
-        }
+    static isArchivedYear(schoolYear = state.schoolYear) {
+        return schoolYear < getSchoolYear();
     }
 
-    // Students Page
-    static renderStudentsPage() {
-        this.renderStudentsFilter();
-        this.renderStudentsGrid();
+    // Years offered in the header: the next one (where promotion enrols students),
+    // the current one and a few before it, newest first
+    static getSchoolYearOptions() {
+        const current = getSchoolYear();
+        const years = Array.from({ length: SCHOOL_YEARS_SHOWN + 2 }, (_, i) => shiftSchoolYear(current, 1 - i));
+        if (!years.includes(state.schoolYear)) years.push(state.schoolYear);
+        return years;
     }
 
-    static renderStudentsFilter() {
-        const container = document.getElementById('students-filter');
-        if (!container) return;
+    // Switch the loaded year; callers reload the page's data afterwards
+    static setSchoolYear(schoolYear) {
+        state.schoolYear = schoolYear;
+        state.students = [];
+        state.classes = [];
+        state.scores = {};
+        state.attendance = [];
+    }
 
-        const user = AuthManager.getCurrentUser();
-        let availableClasses = [...state.classes];
-        let students = [...state.students];
+    // Offline copies of year-scoped resources are kept per school year
+    static cacheKey(resource, schoolYear = state.schoolYear) {
+        return YEAR_SCOPED_RESOURCES.includes(resource) ? `${resource}:${schoolYear}` : resource;
+    }
+
+    // A live session loads and caches attendance one class at a time
+    static attendanceKey(classId) {
+        return `${this.cacheKey('attendance')}:${classId}`;
+    }
 
-        // Apply role-based filtering
-        if (user && user.role === 'TEACHER' && user.assignedClasses && !user.assignedClasses.includes('ALL')) {
-            availableClasses = availableClasses.filter(cls => user.assignedClasses.includes(cls.id));
-            students = students.filter(student => user.assignedClasses.includes(student.lop));
+    // Demo records of a school year: the current year is the main demo data,
+    // earlier years come from demoData.archive and later ones start out empty
+    static getDemoRecords(resource, schoolYear = state.schoolYear) {
+        if (!YEAR_SCOPED_RESOURCES.includes(resource) || schoolYear === getSchoolYear()) {
+            return demoData[resource];
         }
 
-        const allCount = students.length;
+        const archive = demoData.archive[schoolYear];
+        if (!archive) return resource === 'scores' ? {} : [];
+        if (resource !== 'students') return archive[resource] || [];
 
-        let buttonsHTML = `
-            <button class="filter-btn ${state.filters.studentsClass === 'all' ? 'filter-btn--active' : ''}" data-class="all">
-                Tất cả <span class="count">(${allCount})</span>
-            </button>
-        `;
+        return demoData.students
+            .filter(student => archive.enrollments[student.id])
+            .map(student => ({ ...student, lop: archive.enrollments[student.id] }));
+    }
 
-        availableClasses.forEach(classData => {
-            const count = students.filter(s => s.lop === classData.id).length;
-            if (count > 0) {
-                buttonsHTML += `
-                    <button class="filter-btn ${state.filters.studentsClass === classData.id ? 'filter-btn--active' : ''}" data-class="${classData.id}">
-                        ${classData.name} <span class="count">(${count})</span>
-                    </button>
-                `;
+    static async loadAttendance(classId) {
+        const cacheKey = this.attendanceKey(classId);
+        try {
+            if (!isLiveBackend()) {
+                const records = await this.loadOffline(state.dataSource === 'sandbox' ? 'attendance' : cacheKey);
+                state.attendance = records.filter(record => record.classId === classId);
+                return;
             }
-        });
 
-        container.innerHTML = buttonsHTML;
+            const schoolYear = state.schoolYear;
+            const response = await api.getAttendance({ classId, schoolYear });
+            // The user may have switched years while this was loading
+            if (schoolYear !== state.schoolYear) return;
+            state.attendance = response.attendance || response;
+            if (api.token) {
+                OfflineStore.setCached(cacheKey, state.attendance).catch(error => {
+                    console.error('Write offline cache error:', error);
+                });
+            }
+        } catch (error) {
+            console.error('Load attendance error:', error);
+            throw error;
+        }
     }
 
-    static renderStudentsGrid() {
-        const filtered = DataManager.getFilteredStudents();
-        const container = document.getElementById('students-grid');
-        const noResults = document.getElementById('students-no-results');
+    static getAttendanceStatus(studentId, date) {
+        const record = state.attendance.find(r => r.studentId === studentId && r.date === date);
+        return record ? record.status : null;
+    }
 
-        if (!container || !noResults) return;
+    static async markAttendance(studentId, classId, date, status) {
+        AuthManager.requirePermission('attendance.edit', classId);
+        const existing = state.attendance.find(r => r.studentId === studentId && r.date === date);
+        let record = { ...existing, studentId, classId, date, status, schoolYear: state.schoolYear };
 
-        if (filtered.length === 0) {
-            container.classList.add('hidden');
-            noResults.classList.remove('hidden');
-            return;
+        if (isLiveBackend()) {
+            const response = await api.saveAttendance(record);
+            record = { ...record, ...(response.record || response) };
+        } else if (!record.id) {
+            record.id = generateId('AT');
         }
 
-        container.classList.remove('hidden');
-        noResults.classList.add('hidden');
+        state.attendance = state.attendance.filter(r => r !== existing).concat(record);
 
-        const studentsHTML = filtered.map(student => `
-            <div class="student-card" data-student-id="${student.id}">
-                <div class="student-card__avatar ${getAvatarColor(student.id)}">
-                    ${getInitials(student.tenThanh, student.hoDem, student.ten)}
-                </div>
-                <div class="student-card__info">
-                    <div class="student-card__name">${student.tenThanh} ${getFullName(student)}</div>
-                    <div class="student-card__class">${DataManager.getClassName(student.lop)}</div>
-                    <div class="student-card__details">
-                        <div class="student-card__id">${student.id}</div>
-                        <div>${student.giaoKhu}</div>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        if (!isLiveBackend()) {
+            await SyncManager.queue('attendance', 'update', record.id, record, existing);
+        }
+        return record;
+    }
 
-        container.innerHTML = studentsHTML;
+    // Absence counts per student across every loaded session of the class
+    static getAttendanceTotals(studentId) {
+        return state.attendance
+            .filter(r => r.studentId === studentId)
+            .reduce((totals, r) => {
+                if (r.status === 'ABSENT') totals.absent++;
+                if (r.status === 'EXCUSED') totals.excused++;
+                return totals;
+            }, { absent: 0, excused: 0 });
     }
 
-    // Dashboard (simplified for demo)
-    static renderDashboard() {
-        const totalStudents = state.students.length;
-        const totalClasses = state.classes.length;
-        const excellentCount = Math.floor(totalStudents * 0.3); // Demo calculation
+    static getAbsenceThreshold() {
+        const stored = parseInt(localStorage.getItem(CONFIG.ABSENCE_THRESHOLD_KEY), 10);
+        return stored > 0 ? stored : CONFIG.DEFAULT_ABSENCE_THRESHOLD;
+    }
 
-        const elements = {
-            'total-students': totalStudents,
-            'total-classes': totalClasses,
-            'excellent-students': excellentCount
-        };
+    static setAbsenceThreshold(value) {
+        localStorage.setItem(CONFIG.ABSENCE_THRESHOLD_KEY, String(value));
+    }
 
-        Object.entries(elements).forEach(([id, value]) => {
-            const el = document.getElementById(id);
-            if (el) el.textContent = value;
-        });
+    // Students the current user may see: non-admins only get their assigned classes
+    static getVisibleStudents() {
+        const scope = AuthManager.getClassScope();
 
-        // Simple chart rendering for demo
-        setTimeout(() => {
-            this.renderSimpleCharts();
-        }, 100);
+        if (scope) {
+            return state.students.filter(student => scope.includes(student.lop));
+        }
+
+        return [...state.students];
     }
 
-    static renderSimpleCharts() {
-        const ctx1 = document.getElementById('class-distribution-chart');
-        const ctx2 = document.getElementById('district-distribution-chart');
+    static getFilteredStudents() {
+        let filtered = this.getVisibleStudents();
+        
+        const filters = state.filters;
 
-        if (ctx1) {
-            const existingChart = Chart.getChart(ctx1);
-            if (existingChart) existingChart.destroy();
+        // Apply class filter
+        if (filters.studentsClass !== 'all') {
+            filtered = filtered.filter(student => student.lop === filters.studentsClass);
+        }
 
-            const classData = {};
-            state.students.forEach(student => {
-                const className = DataManager.getClassName(student.lop);
-                classData[className] = (classData[className] || 0) + 1;
-            });
+        // Apply advanced filters
+        if (filters.studentsGiaoKhu !== 'all') {
+            filtered = filtered.filter(student => (student.giaoKhu || '') === filters.studentsGiaoKhu);
+        }
 
-            new Chart(ctx1, {
-                type: 'bar',
-                data: {
-                    labels: Object.keys(classData),
-                    datasets: [{
-                        label: 'Số học sinh',
-                        data: Object.values(classData),
-                        backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C']
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: { legend: { display: false } }
-                }
+        if (filters.studentsBirthYear !== 'all') {
+            filtered = filtered.filter(student => (student.ngaySinh || '').startsWith(filters.studentsBirthYear + '-'));
+        }
+
+        if (filters.studentsAgeMin !== '' || filters.studentsAgeMax !== '') {
+            const min = filters.studentsAgeMin === '' ? -Infinity : Number(filters.studentsAgeMin);
+            const max = filters.studentsAgeMax === '' ? Infinity : Number(filters.studentsAgeMax);
+            filtered = filtered.filter(student => {
+                const age = getAge(student.ngaySinh);
+                return age !== null && age >= min && age <= max;
             });
         }
 
-        if (ctx2) {
-            const existingChart = Chart.getChart(ctx2);
-            if (existingChart) existingChart.destroy();
+        if (filters.studentsBirthMonth !== 'all') {
+            filtered = filtered.filter(student => student.ngaySinh && Number(student.ngaySinh.split('-')[1]) === Number(filters.studentsBirthMonth));
+        }
 
-            const districtData = {};
-            state.students.forEach(student => {
-                districtData[student.giaoKhu] = (districtData[student.giaoKhu] || 0) + 1;
-            });
+        if (filters.studentsMissing !== 'all') {
+            const fields = filters.studentsMissing === 'any'
+                ? MISSING_DATA_FILTERS.filter(f => f.id !== 'any').map(f => f.id)
+                : [filters.studentsMissing];
+            filtered = filtered.filter(student => fields.some(field => !student[field]));
+        }
 
-            new Chart(ctx2, {
-                type: 'doughnut',
-                data: {
-                    labels: Object.keys(districtData),
-                    datasets: [{
-                        data: Object.values(districtData),
-                        backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C']
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false
-                }
-            });
+        filtered.sort(this.getStudentComparator(filters.studentsSort));
+        
+        // Apply search filter, best matches first
+        if (SearchManager.tokenize(state.search).length > 0) {
+            filtered = filtered
+                .map(student => ({ student, match: SearchManager.match(student, state.search) }))
+                .filter(item => item.match)
+                .sort((a, b) => b.match.score - a.match.score)
+                .map(item => item.student);
         }
+        
+        return filtered;
     }
 
-    // Users Page (simplified)
-    static renderUsersPage() {
-        if (!AuthManager.hasPermission('admin')) {
-            const container = document.getElementById('users-grid');
-            if (container) {
-                container.innerHTML = '<p>Bạn không có quyền truy cập trang này.</p>';
+    static getStudentComparator(sort) {
+        switch (sort) {
+            // Oldest first; students without a birth date go last
+            case 'age':
+                return (a, b) => (a.ngaySinh || '9999').localeCompare(b.ngaySinh || '9999') || compareVietnameseNames(a, b);
+            case 'class': {
+                const classOrder = state.classes.map(c => c.id);
+                const position = (id) => classOrder.includes(id) ? classOrder.indexOf(id) : classOrder.length;
+                return (a, b) => position(a.lop) - position(b.lop) || compareVietnameseNames(a, b);
             }
-            return;
+            default:
+                return compareVietnameseNames;
         }
+    }
 
-        const container = document.getElementById('users-grid');
-        if (!container) return;
+    // Advanced filters that differ from their defaults, for the "clear" button
+    static countActiveStudentFilters() {
+        return Object.keys(DEFAULT_STUDENT_FILTERS)
+            .filter(key => key !== 'studentsClass' && key !== 'studentsSort')
+            .filter(key => state.filters[key] !== DEFAULT_STUDENT_FILTERS[key]).length;
+    }
 
-        const usersHTML = state.users.map(user => `
-            <div class="user-card">
-                <div class="user-card__header">
-                    <div class="user-card__avatar">
-                        ${user.avatar || user.fullName.charAt(0)}
-                    </div>
-                    <div class="user-card__info">
-                        <div class="user-card__name">${user.fullName}</div>
-                        <div class="user-card__email">${user.email}</div>
-                    </div>
-                </div>
-                <div class="user-card__role">
-                    <span class="status ${user.role === 'ADMIN' ? 'status--error' : 'status--success'}">
-                        ${user.role}
-                    </span>
-                </div>
-            </div>
-        `).join('');
+    static loadStudentFilters() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.STUDENT_FILTERS_KEY) || '{}');
+            Object.keys(DEFAULT_STUDENT_FILTERS).forEach(key => {
+                if (saved[key] !== undefined) state.filters[key] = saved[key];
+            });
+        } catch (error) {
+            console.error('Load student filters error:', error);
+        }
+    }
 
-        container.innerHTML = usersHTML;
+    static saveStudentFilters() {
+        const saved = {};
+        Object.keys(DEFAULT_STUDENT_FILTERS).forEach(key => {
+            saved[key] = state.filters[key];
+        });
+        localStorage.setItem(CONFIG.STUDENT_FILTERS_KEY, JSON.stringify(saved));
     }
 
-    // Classes Page (simplified)
-    static renderClassesPage() {
-        if (!AuthManager.hasPermission('admin')) {
-            const container = document.getElementById('classes-grid');
-            if (container) {
-                container.innerHTML = '<p>Bạn không có quyền truy cập trang này.</p>';
-            }
-            return;
+    static resetStudentFilters() {
+        Object.assign(state.filters, DEFAULT_STUDENT_FILTERS, {
+            studentsClass: state.filters.studentsClass,
+            studentsSort: state.filters.studentsSort
+        });
+        this.saveStudentFilters();
+    }
+
+    // Students of one class in roster order
+    static getClassStudents(classId) {
+        return state.students
+            .filter(s => s.lop === classId)
+            .sort(compareVietnameseNames);
+    }
+
+    // Figures for the dashboard, scoped to what the current user can see.
+    // Averages are over the whole year, each student graded by their class's scheme.
+    static getDashboardStats() {
+        const students = this.getVisibleStudents();
+
+        const graded = students
+            .map(student => ({ student, ...GradingManager.getResult(student) }))
+            .filter(item => item.average !== null);
+
+        const classes = this.getAvailableClasses().map(classItem => {
+            const classGraded = graded.filter(item => item.student.lop === classItem.id);
+            const average = classGraded.length
+                ? Math.round(classGraded.reduce((sum, item) => sum + item.average, 0) / classGraded.length * 10) / 10
+                : null;
+            return {
+                id: classItem.id,
+                name: classItem.name,
+                studentCount: students.filter(s => s.lop === classItem.id).length,
+                average
+            };
+        });
+
+        const districts = {};
+        students.forEach(student => {
+            const district = student.giaoKhu || 'Chưa rõ';
+            districts[district] = (districts[district] || 0) + 1;
+        });
+
+        // Schemes may name their bands differently; count by name, best bands first
+        const schemes = this.getAvailableClasses().map(classItem => GradingManager.getScheme(classItem.id));
+        const bands = GradingManager.getBandNames(schemes.length ? schemes : [DEFAULT_GRADING_SCHEME])
+            .map(name => ({
+                name,
+                count: graded.filter(item => item.classification && item.classification.name === name).length
+            }));
+
+        const topStudents = [...graded]
+            .sort((a, b) => b.average - a.average || a.student.ten.localeCompare(b.student.ten, 'vi'))
+            .slice(0, 10);
+
+        return {
+            totalStudents: students.length,
+            totalClasses: classes.length,
+            classes,
+            districts,
+            bands,
+            // Students in the top band of their own scheme
+            excellentCount: graded.filter(item => item.classification === item.scheme.classifications[0]).length,
+            topStudents
+        };
+    }
+
+    static async loadStudentDetail(studentId) {
+        if (!isLiveBackend()) {
+            // The students page doesn't load scores, so fetch them on demand
+            if (Object.keys(state.scores).length === 0) await this.loadScores();
+            return {
+                student: state.students.find(s => s.id === studentId) || null,
+                scores: { ...(state.scores[studentId] || {}) }
+            };
         }
 
-        const container = document.getElementById('classes-grid');
-        if (!container) return;
+        const [studentResponse, scoresResponse] = await Promise.all([
+            api.getStudent(studentId),
+            api.getStudentScores(studentId, state.schoolYear)
+        ]);
 
-        const classesHTML = state.classes.map(classItem => {
-            const studentCount = state.students.filter(s => s.lop === classItem.id).length;
+        // Show the class from the loaded year's roster, not the student's latest one
+        const enrolled = state.students.find(s => s.id === studentId);
+        const student = studentResponse.student || studentResponse;
+        return {
+            student: enrolled ? { ...student, lop: enrolled.lop } : student,
+            scores: this.normalizeStudentScores(scoresResponse.scores || scoresResponse)
+        };
+    }
 
-            return `
-                <div class="class-card">
-                    <div class="class-card__header">
-                        <div class="class-card__icon">
-                            ${classItem.name.charAt(0)}
-                        </div>
-                        <div class="class-card__info">
-                            <div class="class-card__name">${classItem.name}</div>
+    // A student's class and scores in each school year they were enrolled, newest first
+    static async loadStudentHistory(studentId) {
+        let years;
+
+        if (state.dataSource === 'sandbox') {
+            const current = getSchoolYear();
+            const student = demoData.students.find(s => s.id === studentId);
+            years = Object.entries(demoData.archive)
+                .filter(([, archive]) => archive.enrollments[studentId])
+                .map(([schoolYear, archive]) => ({
+                    schoolYear,
+                    classItem: archive.classes.find(c => c.id === archive.enrollments[studentId]),
+                    scores: archive.scores[studentId] || {}
+                }));
+            if (student) {
+                years.push({
+                    schoolYear: current,
+                    classItem: demoData.classes.find(c => c.id === student.lop),
+                    scores: demoData.scores[studentId] || {}
+                });
+            }
+        } else if (isLiveBackend()) {
+            const response = await api.getStudentHistory(studentId);
+            years = (response.history || response).map(entry => ({
+                schoolYear: entry.schoolYear,
+                classItem: entry.class || null,
+                scores: this.normalizeStudentScores(entry.scores)
+            }));
+        } else {
+            throw new Error('Cần kết nối máy chủ để xem các năm học');
+        }
+
+        // The loaded year may have edits made in this session
+        const enrolled = state.students.find(s => s.id === studentId);
+        if (enrolled) {
+            const loaded = years.find(entry => entry.schoolYear === state.schoolYear);
+            const scoresLoaded = Object.keys(state.scores).length > 0;
+            years = years.filter(entry => entry !== loaded).concat({
+                schoolYear: state.schoolYear,
+                classItem: state.classes.find(c => c.id === enrolled.lop),
+                scores: scoresLoaded || !loaded ? state.scores[studentId] || {} : loaded.scores
+            });
+        }
+
+        return years.sort((a, b) => b.schoolYear.localeCompare(a.schoolYear));
+    }
+
+    // Student scores come back either keyed by type or as a list of records
+    static normalizeStudentScores(scores) {
+        if (!Array.isArray(scores)) return scores || {};
+
+        return scores.reduce((byType, record) => {
+            byType[record.type] = { id: record.id, score: record.score, date: record.date };
+            return byType;
+        }, {});
+    }
+
+    // Returns a map of field -> error message; empty when the student is valid
+    static validateStudent(data) {
+        const errors = {};
+        const requiredFields = ['tenThanh', 'hoDem', 'ten', 'lop', 'ngaySinh', 'ngayRuaToi', 'phuHuynh', 'giaoKhu', 'sdt'];
+
+        requiredFields.forEach(field => {
+            if (!data[field]) errors[field] = 'Vui lòng nhập thông tin này';
+        });
+
+        const today = getToday();
+
+        if (data.ngaySinh && data.ngaySinh >= today) {
+            errors.ngaySinh = 'Ngày sinh phải trước ngày hôm nay';
+        }
+
+        if (data.ngayRuaToi) {
+            if (data.ngayRuaToi > today) {
+                errors.ngayRuaToi = 'Ngày rửa tội không được ở tương lai';
+            } else if (data.ngaySinh && data.ngayRuaToi < data.ngaySinh) {
+                errors.ngayRuaToi = 'Ngày rửa tội không được trước ngày sinh';
+            }
+        }
+
+        if (data.sdt && !isValidPhone(data.sdt)) {
+            errors.sdt = 'Số điện thoại không hợp lệ (VD: 0901234567)';
+        }
+
+        Object.assign(errors, SacramentManager.validate(data));
+
+        return errors;
+    }
+
+    static async saveStudent(data, studentId = null) {
+        const existing = state.students.find(s => s.id === studentId);
+        if (existing) AuthManager.requirePermission('students.edit', existing.lop);
+        AuthManager.requirePermission(existing ? 'students.edit' : 'students.create', data.lop);
+        let student = { ...data, id: studentId || generateId('ST') };
+        // The class (lop) is the student's class in the loaded school year
+        const payload = { ...data, schoolYear: state.schoolYear };
+
+        if (isLiveBackend()) {
+            const response = studentId
+                ? await api.updateStudent(studentId, payload)
+                : await api.createStudent(payload);
+            student = { ...student, ...(response.student || response) };
+        }
+
+        const index = state.students.findIndex(s => s.id === student.id);
+        if (index >= 0) {
+            state.students[index] = student;
+        } else {
+            state.students.push(student);
+        }
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('students', studentId ? 'update' : 'create', student.id, payload, existing);
+        }
+        await AuditLog.record('students', existing ? 'update' : 'create', {
+            recordId: student.id,
+            studentId: student.id,
+            before: existing,
+            after: student
+        });
+        return student;
+    }
+
+    // Soft delete: the student and their scores wait in the recycle bin until an admin purges them
+    static async deleteStudent(studentId) {
+        const existing = state.students.find(s => s.id === studentId);
+        AuthManager.requirePermission('students.delete', existing && existing.lop);
+
+        if (isLiveBackend()) {
+            await api.deleteStudent(studentId);
+        }
+
+        state.students = state.students.filter(s => s.id !== studentId);
+        TrashManager.add('students', existing, { scores: state.scores[studentId] });
+        delete state.scores[studentId];
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('students', 'delete', studentId, null, existing);
+            this.cacheResource('scores');
+        }
+        await AuditLog.record('students', 'delete', { recordId: studentId, studentId, before: existing });
+    }
+
+    // Apply the same field changes to several students; keeps going past failures and reports them
+    static async updateStudents(studentIds, changes) {
+        const result = { saved: [], failed: [] };
+
+        for (const studentId of studentIds) {
+            const student = state.students.find(s => s.id === studentId);
+            if (!student) continue;
+
+            const { id, ...data } = student;
+            try {
+                await this.saveStudent({ ...data, ...changes }, id);
+                result.saved.push(studentId);
+            } catch (error) {
+                console.error('Update student error:', error);
+                result.failed.push({ studentId, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    static async deleteStudents(studentIds) {
+        const result = { deleted: [], failed: [] };
+
+        for (const studentId of studentIds) {
+            if (!state.students.some(s => s.id === studentId)) continue;
+
+            try {
+                await this.deleteStudent(studentId);
+                result.deleted.push(studentId);
+            } catch (error) {
+                console.error('Delete student error:', error);
+                result.failed.push({ studentId, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    static getActiveAdmins() {
+        return state.users.filter(u => u.role === 'ADMIN' && u.active !== false);
+    }
+
+    // A change that leaves no active ADMIN would lock everyone out of user management
+    static isLastActiveAdmin(userId) {
+        const admins = this.getActiveAdmins();
+        return admins.length === 1 && admins[0].id === userId;
+    }
+
+    static validateUser(data, userId = null) {
+        const errors = {};
+
+        if (!data.email) {
+            errors.email = 'Vui lòng nhập email';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+            errors.email = 'Email không hợp lệ';
+        } else if (state.users.some(u => u.id !== userId && u.email.toLowerCase() === data.email.toLowerCase())) {
+            errors.email = 'Email đã được sử dụng';
+        }
+
+        if (!data.fullName) errors.fullName = 'Vui lòng nhập họ tên';
+
+        // Password is only required for new accounts; when editing it resets the password
+        if (!userId && !data.password) {
+            errors.password = 'Vui lòng nhập mật khẩu';
+        } else if (data.password && data.password.length < 6) {
+            errors.password = 'Mật khẩu phải có ít nhất 6 ký tự';
+        }
+
+        if (!data.role) {
+            errors.role = 'Vui lòng chọn vai trò';
+        } else if (userId && data.role !== 'ADMIN' && this.isLastActiveAdmin(userId)) {
+            errors.role = 'Không thể hạ quyền Admin cuối cùng';
+        }
+
+        if (data.role && data.role !== 'ADMIN' && data.assignedClasses.length === 0) {
+            errors.assignedClasses = 'Giáo viên và khách cần được phân ít nhất một lớp';
+        }
+
+        if (userId && data.active === false) {
+            if (userId === (AuthManager.getCurrentUser() || {}).id) {
+                errors.active = 'Không thể khóa tài khoản của chính bạn';
+            } else if (this.isLastActiveAdmin(userId)) {
+                errors.active = 'Không thể khóa Admin cuối cùng';
+            }
+        }
+
+        return errors;
+    }
+
+    static async saveUser(data, userId = null) {
+        AuthManager.requirePermission('users.manage');
+        const payload = { ...data };
+        if (!payload.password) delete payload.password;
+        // Passwords go straight to the backend, never into the offline queue or cache
+        if (payload.password && state.dataSource === 'live' && !state.isOnline) {
+            throw new Error('Cần kết nối máy chủ để đặt mật khẩu');
+        }
+
+        const existing = state.users.find(u => u.id === userId);
+        let user = { ...existing, ...payload, id: userId || generateId('user_') };
+
+        if (isLiveBackend()) {
+            const response = userId
+                ? await api.updateUser(userId, payload)
+                : await api.createUser(payload);
+            user = { ...user, ...(response.user || response) };
+        }
+        // Never keep passwords around in the client state (sandbox logins need the demo ones)
+        if (state.dataSource === 'live') delete user.password;
+
+        const index = state.users.findIndex(u => u.id === user.id);
+        if (index >= 0) {
+            state.users[index] = user;
+        } else {
+            state.users.push(user);
+        }
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('users', userId ? 'update' : 'create', user.id, payload, existing);
+        }
+        await AuditLog.record('users', existing ? 'update' : 'create', {
+            recordId: user.id,
+            before: existing,
+            after: { ...user, ...payload }
+        });
+
+        // Keep the session in sync when admins edit their own account
+        const currentUser = AuthManager.getCurrentUser();
+        if (currentUser && currentUser.id === user.id) {
+            const { password, ...userData } = user;
+            state.currentUser = userData;
+            localStorage.setItem(CONFIG.USER_KEY, JSON.stringify(userData));
+        }
+
+        return user;
+    }
+
+    static async deleteUser(userId) {
+        AuthManager.requirePermission('users.manage');
+        const existing = state.users.find(u => u.id === userId);
+
+        if (isLiveBackend()) {
+            await api.deleteUser(userId);
+        }
+
+        state.users = state.users.filter(u => u.id !== userId);
+        TrashManager.add('users', existing);
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('users', 'delete', userId, null, existing);
+        }
+        await AuditLog.record('users', 'delete', { recordId: userId, before: existing });
+    }
+
+    static validateClass(data, classId = null) {
+        const errors = {};
+
+        if (!data.id) {
+            errors.id = 'Vui lòng nhập mã lớp';
+        } else if (!/^[A-Za-z0-9_-]+$/.test(data.id)) {
+            errors.id = 'Mã lớp chỉ gồm chữ, số, "-" hoặc "_"';
+        } else if (!classId && state.classes.some(c => c.id.toLowerCase() === data.id.toLowerCase())) {
+            errors.id = 'Mã lớp đã tồn tại';
+        }
+
+        if (!data.name) errors.name = 'Vui lòng nhập tên lớp';
+
+        return errors;
+    }
+
+    static async saveClass(data, classId = null) {
+        AuthManager.requirePermission('classes.edit');
+        const existing = state.classes.find(c => c.id === classId);
+        let classItem = { ...data, id: classId || data.id };
+        const payload = { ...data, schoolYear: state.schoolYear };
+
+        if (isLiveBackend()) {
+            const response = classId
+                ? await api.updateClass(classId, payload)
+                : await api.createClass(payload);
+            classItem = { ...classItem, ...(response.class || response) };
+        }
+
+        const index = state.classes.findIndex(c => c.id === classItem.id);
+        if (index >= 0) {
+            state.classes[index] = classItem;
+        } else {
+            state.classes.push(classItem);
+        }
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('classes', classId ? 'update' : 'create', classItem.id, payload, existing);
+        }
+        await AuditLog.record('classes', existing ? 'update' : 'create', {
+            recordId: classItem.id,
+            before: existing,
+            after: classItem
+        });
+        return classItem;
+    }
+
+    static async deleteClass(classId) {
+        AuthManager.requirePermission('classes.delete');
+        if (state.students.some(s => s.lop === classId)) {
+            throw new Error('Lớp vẫn còn học sinh');
+        }
+
+        const existing = state.classes.find(c => c.id === classId);
+
+        if (isLiveBackend()) {
+            await api.deleteClass(classId);
+        }
+
+        state.classes = state.classes.filter(c => c.id !== classId);
+        TrashManager.add('classes', existing);
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('classes', 'delete', classId, null, existing);
+        }
+        await AuditLog.record('classes', 'delete', { recordId: classId, before: existing });
+    }
+
+    static async saveGradingScheme(data, schemeId = null) {
+        AuthManager.requirePermission('grading.manage');
+        const existing = state.gradingSchemes.find(g => g.id === schemeId);
+        let scheme = { ...data, id: schemeId || generateId('GS') };
+
+        if (isLiveBackend()) {
+            const response = schemeId
+                ? await api.updateGradingScheme(schemeId, data)
+                : await api.createGradingScheme(data);
+            scheme = { ...scheme, ...(response.gradingScheme || response) };
+        }
+
+        const index = state.gradingSchemes.findIndex(g => g.id === scheme.id);
+        if (index >= 0) {
+            state.gradingSchemes[index] = scheme;
+        } else {
+            state.gradingSchemes.push(scheme);
+        }
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('gradingSchemes', schemeId ? 'update' : 'create', scheme.id, data, existing);
+        }
+        await AuditLog.record('gradingSchemes', existing ? 'update' : 'create', {
+            recordId: scheme.id,
+            before: existing,
+            after: scheme
+        });
+        return scheme;
+    }
+
+    static async deleteGradingScheme(schemeId) {
+        AuthManager.requirePermission('grading.manage');
+        if (GradingManager.getClassesUsing(schemeId).length > 0) {
+            throw new Error('Thang điểm đang được lớp sử dụng');
+        }
+
+        const existing = state.gradingSchemes.find(g => g.id === schemeId);
+
+        if (isLiveBackend()) {
+            await api.deleteGradingScheme(schemeId);
+        }
+
+        state.gradingSchemes = state.gradingSchemes.filter(g => g.id !== schemeId);
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('gradingSchemes', 'delete', schemeId, null, existing);
+        }
+        await AuditLog.record('gradingSchemes', 'delete', { recordId: schemeId, before: existing });
+    }
+
+    // Apply a list of { studentId, to } moves; keeps going past failures and reports them
+    static async moveStudents(moves) {
+        AuthManager.requirePermission('classes.edit');
+        const result = { moved: [], failed: [] };
+
+        for (const move of moves) {
+            const student = state.students.find(s => s.id === move.studentId);
+            if (!student) continue;
+
+            const { id, ...data } = student;
+            try {
+                await this.saveStudent({ ...data, lop: move.to }, id);
+                result.moved.push(move);
+            } catch (error) {
+                console.error('Move student error:', error);
+                result.failed.push({ ...move, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    // Year-end promotion: enrol each student of the plan in their class of the
+    // next school year. The loaded year's rosters stay as they were. Failed
+    // moves are reported so just those can be retried.
+    static async promoteStudents(plan) {
+        AuthManager.requirePermission('classes.promote');
+        if (state.dataSource === 'live' && !state.isOnline) {
+            throw new Error('Cần kết nối máy chủ để lên lớp');
+        }
+
+        const schoolYear = shiftSchoolYear(state.schoolYear, 1);
+        // The sandbox keeps the next year's roster in its working copy
+        let roster = isLiveBackend() ? null : await this.loadOffline('students', schoolYear);
+        const result = { moved: [], failed: [] };
+
+        for (const move of plan) {
+            const student = state.students.find(s => s.id === move.studentId);
+            if (!student) continue;
+
+            const { id, ...data } = student;
+            try {
+                if (isLiveBackend()) {
+                    await api.updateStudent(id, { ...data, lop: move.to, schoolYear });
+                } else {
+                    roster = roster.filter(s => s.id !== id).concat({ ...student, lop: move.to });
+                }
+                result.moved.push(move);
+            } catch (error) {
+                console.error('Promote student error:', error);
+                result.failed.push({ ...move, error: error.message });
+                continue;
+            }
+
+            await AuditLog.record('students', 'update', {
+                recordId: id,
+                studentId: id,
+                subject: student,
+                before: { lop: move.from, schoolYear: state.schoolYear },
+                after: { lop: move.to, schoolYear }
+            });
+        }
+
+        if (roster) state.sandboxData[this.cacheKey('students', schoolYear)] = roster;
+        return result;
+    }
+
+    // Classes of another school year, leaving the loaded year's state.classes alone
+    static async loadYearClasses(schoolYear) {
+        if (!isLiveBackend()) return this.loadOffline('classes', schoolYear);
+
+        const response = await api.getClasses(schoolYear);
+        return response.classes || response;
+    }
+
+    // Promotion moves for a { fromClassId: nextYearClassId } mapping. Students
+    // whose year average is below their scheme's pass mark stay behind unless
+    // includeFailed is set: they repeat their class next year, provided one with
+    // the same id is among nextClasses, and are not enrolled otherwise.
+    static buildPromotionPlan(mapping, { includeFailed = false, nextClasses = [] } = {}) {
+        return Object.entries(mapping)
+            .filter(([, to]) => to)
+            .flatMap(([from, to]) => state.students
+                .filter(s => s.lop === from)
+                .map(s => includeFailed || GradingManager.getResult(s).passed !== false
+                    ? { studentId: s.id, from, to }
+                    : { studentId: s.id, from, to: from })
+                .filter(move => move.to !== move.from || nextClasses.some(c => c.id === move.from)));
+    }
+
+    // Students of the mapped classes who did not reach the pass mark
+    static getHeldBackStudents(mapping) {
+        return Object.entries(mapping)
+            .filter(([, to]) => to)
+            .flatMap(([from]) => state.students.filter(s => s.lop === from))
+            .map(student => ({ student, ...GradingManager.getResult(student) }))
+            .filter(item => item.passed === false);
+    }
+
+    // Best guess for the next year's class: bump the first number in the id (TL3A -> TL4A)
+    static guessNextClass(classId, nextClasses) {
+        const nextId = classId.replace(/\d+/, n => String(Number(n) + 1));
+        return nextId !== classId && nextClasses.some(c => c.id === nextId) ? nextId : '';
+    }
+
+    static getClassName(classId) {
+        const classItem = state.classes.find(c => c.id === classId);
+        return classItem ? classItem.name : classId;
+    }
+
+    static getAvailableClasses() {
+        const scope = AuthManager.getClassScope();
+
+        // Non-admins only see the classes assigned to them
+        if (scope) {
+            return state.classes.filter(cls => scope.includes(cls.id));
+        }
+
+        return [...state.classes];
+    }
+
+    // Create, update or (when score is null) delete a single score entry
+    static async saveScore(studentId, type, score) {
+        const student = state.students.find(s => s.id === studentId);
+        AuthManager.requirePermission('scores.edit', student && student.lop);
+        const studentScores = { ...(state.scores[studentId] || {}) };
+        const existing = studentScores[type];
+
+        if (score === null) {
+            if (existing && existing.id && isLiveBackend()) {
+                await api.deleteScore(existing.id);
+            }
+            delete studentScores[type];
+            state.scores[studentId] = studentScores;
+
+            if (existing && existing.id && !isLiveBackend()) {
+                await SyncManager.queue('scores', 'delete', existing.id, { studentId, type, schoolYear: state.schoolYear }, existing);
+            }
+            if (existing) {
+                await AuditLog.record('scores', 'delete', {
+                    recordId: existing.id,
+                    studentId,
+                    subject: { studentId, type },
+                    before: { score: existing.score }
+                });
+            }
+            return null;
+        }
+
+        let entry = { ...existing, score, date: getToday() };
+        const payload = { studentId, type, score, date: entry.date, schoolYear: state.schoolYear };
+
+        if (isLiveBackend()) {
+            const response = existing && existing.id
+                ? await api.updateScore(existing.id, payload)
+                : await api.createScore(payload);
+            // The backend may wrap the record as { score: {...} }
+            const saved = response && typeof response.score === 'object' ? response.score : response;
+            if (saved && saved.id) entry.id = saved.id;
+        } else if (!entry.id) {
+            // Temporary id so later offline edits of this score can be folded into its create
+            entry.id = generateId('tmp_');
+        }
+
+        studentScores[type] = entry;
+        state.scores[studentId] = studentScores;
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('scores', existing && existing.id ? 'update' : 'create', entry.id, payload, existing);
+        }
+        await AuditLog.record('scores', existing ? 'update' : 'create', {
+            recordId: entry.id,
+            studentId,
+            subject: { studentId, type },
+            before: existing && { score: existing.score },
+            after: { score }
+        });
+        return entry;
+    }
+}
+
+// Change history: who created, updated, deleted, restored or purged which
+// student, score, class, grading scheme or user, with field-level
+// before/after values. Entries are posted to the backend's /audit log;
+// sandbox sessions keep their entries in memory only. Attendance marks
+// are not recorded.
+class AuditLog {
+    static async record(resource, action, { recordId, studentId = null, subject = null, before = null, after = null }) {
+        const user = AuthManager.getCurrentUser();
+        const entry = {
+            id: generateId('AU'),
+            resource,
+            action,
+            recordId,
+            studentId,
+            summary: this.describe(resource, subject || after || before),
+            actorId: user ? user.id : null,
+            actorName: user ? user.fullName : '',
+            timestamp: new Date().toISOString(),
+            changes: this.diff(before, after)
+        };
+
+        // Saving a form without changing anything isn't worth an entry
+        if (action === 'update' && entry.changes.length === 0) return null;
+
+        state.auditLog.unshift(entry);
+
+        if (!isLiveBackend()) {
+            await SyncManager.queue('audit', 'create', entry.id, entry);
+            return entry;
+        }
+
+        try {
+            await api.createAuditEntry(entry);
+        } catch (error) {
+            // The change itself went through; keep the entry and send it on the next sync
+            console.error('Save audit entry error:', error);
+            if (!error.status || error.status >= 500) {
+                await SyncManager.queue('audit', 'create', entry.id, entry);
+            }
+        }
+        return entry;
+    }
+
+    // Fields whose value differs between two versions of a record
+    static diff(before, after) {
+        const ignored = ['id', 'createdAt', 'updatedAt'];
+        const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+            .filter(field => !ignored.includes(field));
+
+        return fields
+            .map(field => ({
+                field,
+                before: this.normalize(before ? before[field] : null),
+                after: this.normalize(after ? after[field] : null)
+            }))
+            .filter(change => change.before !== change.after)
+            // Record that a password changed, never the password itself
+            .map(change => change.field === 'password'
+                ? { field: 'password', before: change.before && '***', after: change.after && '***' }
+                : change);
+    }
+
+    static normalize(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) {
+            return value.some(item => item && typeof item === 'object') ? JSON.stringify(value) : value.join(', ');
+        }
+        if (typeof value === 'object') return Object.keys(value).length ? JSON.stringify(value) : '';
+        return String(value);
+    }
+
+    static describe(resource, record) {
+        if (!record) return '';
+
+        switch (resource) {
+            case 'students':
+                return `${record.tenThanh || ''} ${getFullName(record)}`.trim();
+            case 'scores': {
+                const student = state.students.find(s => s.id === record.studentId);
+                const name = student ? `${student.tenThanh} ${getFullName(student)}` : record.studentId;
+                return `${name} · ${student ? GradingManager.getTypeName(student.lop, record.type) : record.type}`;
+            }
+            case 'classes':
+            case 'gradingSchemes':
+                return record.name || record.id || '';
+            case 'users':
+                return record.fullName || record.email || '';
+            default:
+                return '';
+        }
+    }
+
+    // Display form of a recorded value
+    static formatValue(field, value) {
+        if (value === '') return '—';
+        if (field === 'ngaySinh' || field === 'ngayRuaToi') return formatDateDMY(value);
+        if (field === 'lop') return DataManager.getClassName(value);
+        if (field === 'active') return value === 'false' ? 'Không' : 'Có';
+        if (field === 'sacrament') return SacramentManager.getName(value);
+        if (field === 'sacraments') return SacramentManager.describeRecords(JSON.parse(value));
+        if (field === 'gradingScheme') {
+            const scheme = GradingManager.getSchemeById(value);
+            return scheme ? scheme.name : value;
+        }
+        if (field === 'types') return GradingManager.describeTypes(JSON.parse(value));
+        if (field === 'classifications') return GradingManager.describeBands(JSON.parse(value));
+        return value;
+    }
+
+    static matches(entry, filters) {
+        const day = toISODate(new Date(entry.timestamp));
+        const is = (key, value) => !filters[key] || filters[key] === 'all' || filters[key] === value;
+
+        return is('resource', entry.resource) &&
+            is('action', entry.action) &&
+            is('actorId', entry.actorId) &&
+            is('studentId', entry.studentId) &&
+            (!filters.from || day >= filters.from) &&
+            (!filters.to || day <= filters.to);
+    }
+
+    // Entries matching the filters, newest first. The backend filters too; entries
+    // recorded offline in this session are all that's available without it.
+    static async load(filters = {}) {
+        let entries = state.auditLog;
+
+        if (isLiveBackend()) {
+            const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value && value !== 'all'));
+            const response = await api.getAuditLog(params);
+            entries = response.entries || response;
+        }
+
+        return entries
+            .filter(entry => this.matches(entry, filters))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+}
+
+// Recycle bin for deleted students, classes and users. Only admins can restore
+// a record or purge it for good.
+class TrashManager {
+    static add(resource, record, { scores = null } = {}) {
+        if (!record) return null;
+
+        const user = AuthManager.getCurrentUser();
+        const entry = {
+            id: generateId('TR'),
+            resource,
+            recordId: record.id,
+            record: { ...record },
+            scores: scores || null,
+            // Users aren't per school year; students and classes go back to the year they left
+            schoolYear: resource === 'users' ? null : state.schoolYear,
+            deletedBy: user ? user.id : null,
+            deletedByName: user ? user.fullName : '',
+            deletedAt: new Date().toISOString()
+        };
+        state.trash.unshift(entry);
+        return entry;
+    }
+
+    // Newest first. The backend keeps the bin; records deleted in this session
+    // are all that's available without it.
+    static async load(resource = 'all') {
+        let entries = state.trash;
+
+        if (isLiveBackend()) {
+            const response = await api.getTrash();
+            entries = response.entries || response;
+        }
+
+        return entries
+            .filter(entry => resource === 'all' || entry.resource === resource)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Second line of a bin entry: where the record belonged
+    static describe(entry) {
+        const record = entry.record || {};
+        switch (entry.resource) {
+            case 'students':
+                return `${record.id} · ${DataManager.getClassName(record.lop)} · ${entry.schoolYear}`;
+            case 'classes':
+                return `${record.id} · ${entry.schoolYear}`;
+            case 'users':
+                return `${record.email} · ${record.role}`;
+            default:
+                return entry.recordId;
+        }
+    }
+
+    static async restore(entry) {
+        AuthManager.requirePermission('trash.manage');
+        this.requireBackend();
+
+        let record = entry.record;
+        if (entry.resource === 'users' && state.users.some(u =>
+            u.id !== record.id && u.email.toLowerCase() === record.email.toLowerCase())) {
+            throw new Error(`Email ${record.email} đã được dùng cho tài khoản khác`);
+        }
+
+        if (isLiveBackend()) {
+            const response = await api.restoreFromTrash(entry.resource, entry.recordId);
+            record = response.record || record;
+        }
+
+        // Put it back into what's loaded; records of another school year come with that year's next load
+        if (entry.resource === 'users' || entry.schoolYear === state.schoolYear) {
+            state[entry.resource] = state[entry.resource].filter(item => item.id !== record.id).concat(record);
+            DataManager.cacheResource(entry.resource);
+            if (entry.resource === 'students' && entry.scores) {
+                state.scores[record.id] = entry.scores;
+                DataManager.cacheResource('scores');
+            }
+        }
+        this.forget(entry);
+
+        await AuditLog.record(entry.resource, 'restore', {
+            recordId: entry.recordId,
+            studentId: entry.resource === 'students' ? entry.recordId : null,
+            after: record
+        });
+        return record;
+    }
+
+    static async purge(entry) {
+        AuthManager.requirePermission('trash.manage');
+        this.requireBackend();
+
+        if (isLiveBackend()) {
+            await api.purgeFromTrash(entry.resource, entry.recordId);
+        }
+        this.forget(entry);
+
+        await AuditLog.record(entry.resource, 'purge', {
+            recordId: entry.recordId,
+            studentId: entry.resource === 'students' ? entry.recordId : null,
+            subject: entry.record
+        });
+    }
+
+    // Backend entries and the ones recorded in this session have different ids
+    static forget(entry) {
+        state.trash = state.trash.filter(item => item.id !== entry.id &&
+            !(item.resource === entry.resource && item.recordId === entry.recordId));
+    }
+
+    // Offline, the backend's bin is out of reach; sandbox mode keeps its own
+    static requireBackend() {
+        if (state.dataSource === 'live' && !state.isOnline) {
+            throw new Error('Cần kết nối máy chủ để khôi phục hoặc xóa vĩnh viễn');
+        }
+    }
+}
+
+// Sacrament records (date, parish, minister) and who is ready for the next one
+class SacramentManager {
+    static getName(sacramentId) {
+        const sacrament = SACRAMENTS.find(s => s.id === sacramentId);
+        return sacrament ? sacrament.name : sacramentId;
+    }
+
+    // A student's record for one sacrament; date is '' when not yet received
+    static get(student, sacramentId) {
+        const record = { date: '', parish: '', minister: '', ...((student.sacraments || {})[sacramentId]) };
+        if (sacramentId === 'RUA_TOI') record.date = student.ngayRuaToi || '';
+        return record;
+    }
+
+    static formatRecord(record) {
+        return [record.date ? formatDate(record.date) : '', record.parish, record.minister].filter(Boolean).join(' · ');
+    }
+
+    static hasReceived(student, sacramentId) {
+        return !!this.get(student, sacramentId).date;
+    }
+
+    // Classes marked as preparing students for a sacrament (see the class form)
+    static getPrepClasses(sacramentId) {
+        return state.classes.filter(cls => cls.sacrament === sacramentId).map(cls => cls.id);
+    }
+
+    // Students who can receive the sacrament on the given date: they have the one
+    // before it, are old enough and, once any class is marked as preparing for
+    // it, are in one of those classes
+    static getEligible(sacramentId, classId = 'all', onDate = getToday()) {
+        const sacrament = SACRAMENTS.find(s => s.id === sacramentId);
+        if (!sacrament || !sacrament.requires) return [];
+
+        const prepClasses = this.getPrepClasses(sacramentId);
+        return this.getClassStudents(classId).filter(student => {
+            const age = getAge(student.ngaySinh, onDate);
+            return !this.hasReceived(student, sacramentId) &&
+                this.hasReceived(student, sacrament.requires) &&
+                age !== null && age >= sacrament.minAge &&
+                (prepClasses.length === 0 || prepClasses.includes(student.lop));
+        });
+    }
+
+    static getRecipients(sacramentId, classId = 'all') {
+        return this.getClassStudents(classId).filter(student => this.hasReceived(student, sacramentId));
+    }
+
+    static getClassStudents(classId) {
+        return DataManager.getVisibleStudents()
+            .filter(student => classId === 'all' || student.lop === classId)
+            .sort((a, b) => vietnameseCollator.compare(a.lop || '', b.lop || '') || compareVietnameseNames(a, b));
+    }
+
+    static validate(data) {
+        const errors = {};
+
+        SACRAMENTS.filter(sacrament => sacrament.requires).forEach(sacrament => {
+            const record = this.get(data, sacrament.id);
+            const required = this.get(data, sacrament.requires);
+            const key = `sacraments.${sacrament.id}.date`;
+
+            if (!record.date) {
+                if (record.parish || record.minister) errors[key] = 'Vui lòng nhập ngày lãnh nhận';
+            } else if (record.date > getToday()) {
+                errors[key] = 'Ngày không được ở tương lai';
+            } else if (!required.date) {
+                errors[key] = `Chưa có ngày ${this.getName(sacrament.requires)}`;
+            } else if (record.date < required.date) {
+                errors[key] = `Không được trước ngày ${this.getName(sacrament.requires)}`;
+            }
+        });
+
+        return errors;
+    }
+
+    // Form inputs for every sacrament field, keyed like the validation errors
+    static get formFields() {
+        const fields = {};
+        SACRAMENTS.forEach(sacrament => {
+            ['date', 'parish', 'minister'].forEach(part => {
+                if (sacrament.id === 'RUA_TOI' && part === 'date') return;
+                fields[`sacraments.${sacrament.id}.${part}`] = `student-sacrament-${sacrament.id}-${part}`;
+            });
+        });
+        return fields;
+    }
+
+    static readForm() {
+        const sacraments = {};
+        Object.entries(this.formFields).forEach(([key, inputId]) => {
+            const [, sacramentId, part] = key.split('.');
+            const value = document.getElementById(inputId).value.trim();
+            if (value) sacraments[sacramentId] = { ...sacraments[sacramentId], [part]: value };
+        });
+        return sacraments;
+    }
+
+    static fillForm(student) {
+        Object.entries(this.formFields).forEach(([key, inputId]) => {
+            const [, sacramentId, part] = key.split('.');
+            const input = document.getElementById(inputId);
+            if (input) input.value = student ? this.get(student, sacramentId)[part] : '';
+        });
+    }
+
+    // One line per recorded sacrament, for the student detail and audit log
+    static describeRecords(records) {
+        const lines = Object.entries(records || {}).map(([sacramentId, record]) => [
+            this.getName(sacramentId),
+            [record.date ? formatDateDMY(record.date) : '', record.parish, record.minister].filter(Boolean).join(', ')
+        ].join(': '));
+        return lines.length ? lines.join('; ') : '—';
+    }
+}
+
+// Bổn mạng (saint's feast day) and birthday calendar built from tenThanh and ngaySinh
+class CalendarManager {
+    static key(name) {
+        return foldVietnamese(name).replace(/[^a-z]/g, '');
+    }
+
+    static get feastIndex() {
+        if (!this.index) {
+            this.index = new Map();
+            SAINT_FEASTS.forEach(feast => feast.names.forEach(name => {
+                if (!this.index.has(this.key(name))) this.index.set(this.key(name), feast);
+            }));
+        }
+        return this.index;
+    }
+
+    // The feast for a saint name: the whole name first, then just its first word
+    static getFeast(tenThanh) {
+        const name = String(tenThanh || '').trim();
+        if (!name) return null;
+        return this.feastIndex.get(this.key(name)) || this.feastIndex.get(this.key(name.split(/\s+/)[0])) || null;
+    }
+
+    // Students whose saint name isn't in SAINT_FEASTS
+    static getUnknownSaints(students) {
+        return students.filter(student => student.tenThanh && !this.getFeast(student.tenThanh));
+    }
+
+    // A MM-DD date in the given year; 29 Feb falls on 28 Feb outside leap years
+    static inYear(monthDay, year) {
+        const [month, day] = monthDay.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1) date.setDate(0);
+        return toISODate(date);
+    }
+
+    // Feasts and birthdays of the given students between two YYYY-MM-DD dates, inclusive
+    static getEvents(students, from, to) {
+        const events = [];
+        const firstYear = Number(from.slice(0, 4));
+        const lastYear = Number(to.slice(0, 4));
+
+        students.forEach(student => {
+            const feast = this.getFeast(student.tenThanh);
+            for (let year = firstYear; year <= lastYear; year++) {
+                if (feast) {
+                    events.push({ type: 'feast', date: this.inYear(feast.date, year), student, detail: feast.saint });
+                }
+                const age = student.ngaySinh ? year - Number(student.ngaySinh.slice(0, 4)) : 0;
+                if (age > 0) {
+                    events.push({ type: 'birthday', date: this.inYear(student.ngaySinh.slice(5), year), student, detail: `${age} tuổi` });
+                }
+            }
+        });
+
+        return events
+            .filter(event => event.date >= from && event.date <= to)
+            .sort((a, b) => a.date.localeCompare(b.date) || compareVietnameseNames(a.student, b.student));
+    }
+
+    static getUpcoming(students, days = 30) {
+        const end = new Date(getToday() + 'T00:00:00');
+        end.setDate(end.getDate() + days);
+        return this.getEvents(students, getToday(), toISODate(end));
+    }
+
+    // month is YYYY-MM
+    static getMonthEvents(students, month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return this.getEvents(students, `${month}-01`, toISODate(new Date(year, monthIndex, 0)));
+    }
+
+    static escapeICS(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    }
+
+    // Content lines are folded at 75 octets; Vietnamese letters take 2-3 octets each
+    static foldICS(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            if (size + charSize > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // iCalendar file with a yearly all-day event per feast and birthday
+    static toICS(students, calendarName) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const compact = date => date.replace(/-/g, '');
+        const nextDay = date => {
+            const next = new Date(date + 'T00:00:00');
+            next.setDate(next.getDate() + 1);
+            return toISODate(next);
+        };
+        const event = (uid, date, summary, description) => [
+            'BEGIN:VEVENT',
+            `UID:${uid}@tntt`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${compact(date)}`,
+            `DTEND;VALUE=DATE:${compact(nextDay(date))}`,
+            'RRULE:FREQ=YEARLY',
+            `SUMMARY:${this.escapeICS(summary)}`,
+            `DESCRIPTION:${this.escapeICS(description)}`,
+            'END:VEVENT'
+        ];
+
+        const year = new Date().getFullYear();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//TNTT//Quan ly hoc sinh//VI',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this.escapeICS(calendarName)}`
+        ];
+
+        students.forEach(student => {
+            const name = `${student.tenThanh} ${getFullName(student)}`;
+            const className = DataManager.getClassName(student.lop);
+            const feast = this.getFeast(student.tenThanh);
+            if (feast) {
+                lines.push(...event(`feast-${student.id}`, this.inYear(feast.date, year), `Bổn mạng ${name}`, `${feast.saint} - ${className}`));
+            }
+            if (student.ngaySinh) {
+                lines.push(...event(`birthday-${student.id}`, student.ngaySinh, `Sinh nhật ${name}`, className));
+            }
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICS(line)).join('\r\n') + '\r\n';
+    }
+}
+
+// Grading schemes: the score types a class records, their weights, the
+// classification bands and the pass mark. A class uses the scheme picked for it,
+// else the scheme set for the current school year, else DEFAULT_GRADING_SCHEME.
+class GradingManager {
+    static getSchemeById(schemeId) {
+        if (!schemeId || schemeId === DEFAULT_GRADING_SCHEME.id) return DEFAULT_GRADING_SCHEME;
+        return state.gradingSchemes.find(g => g.id === schemeId) || null;
+    }
+
+    static getYearScheme(schoolYear = state.schoolYear) {
+        return state.gradingSchemes.find(g => g.schoolYear === schoolYear) || null;
+    }
+
+    // Scheme of a class in the loaded school year
+    static getScheme(classId) {
+        return this.getSchemeFor(state.classes.find(c => c.id === classId), state.schoolYear);
+    }
+
+    // Scheme of a class record from any school year (e.g. in a student's history)
+    static getSchemeFor(classItem, schoolYear) {
+        const own = classItem && classItem.gradingScheme
+            ? state.gradingSchemes.find(g => g.id === classItem.gradingScheme)
+            : null;
+        return own || this.getYearScheme(schoolYear) || DEFAULT_GRADING_SCHEME;
+    }
+
+    static getClassesUsing(schemeId) {
+        return state.classes.filter(c => c.gradingScheme === schemeId);
+    }
+
+    // Name of a score type as the class's scheme calls it; unknown ids are shown as is
+    static getTypeName(classId, typeId) {
+        const type = this.getScheme(classId).types.find(t => t.id === typeId);
+        return type ? type.name : typeId;
+    }
+
+    static getSemesterTypes(scheme, semesterId) {
+        return scheme.types.filter(type => semesterId === 'CN' || type.semester === semesterId);
+    }
+
+    // Weighted average of the semester's score types, rounded to one decimal.
+    // Missing scores are left out; null when the student has none of them.
+    static computeAverage(scheme, studentScores, semesterId = 'CN') {
+        let total = 0;
+        let weights = 0;
+
+        this.getSemesterTypes(scheme, semesterId).forEach(type => {
+            const entry = (studentScores || {})[type.id];
+            if (!entry || entry.score === null || entry.score === undefined) return;
+            total += Number(entry.score) * type.weight;
+            weights += type.weight;
+        });
+
+        return weights ? Math.round(total / weights * 10) / 10 : null;
+    }
+
+    static classify(scheme, average) {
+        if (average === null) return null;
+        return scheme.classifications.find(band => average >= band.min) || null;
+    }
+
+    // Average, band and pass decision for a student under their class's scheme;
+    // passed is null while the student has no scores to judge by
+    static getResult(student, semesterId = 'CN', studentScores = state.scores[student.id]) {
+        return this.getResultFor(this.getScheme(student.lop), studentScores, semesterId);
+    }
+
+    static getResultFor(scheme, studentScores, semesterId = 'CN') {
+        const average = this.computeAverage(scheme, studentScores, semesterId);
+        return {
+            scheme,
+            average,
+            classification: this.classify(scheme, average),
+            passed: average === null ? null : average >= scheme.passMin
+        };
+    }
+
+    static describeResult(result) {
+        if (result.passed === null) return '—';
+        return result.passed ? 'Lên lớp' : 'Ở lại lớp';
+    }
+
+    // Band names across schemes, best first, each listed once
+    static getBandNames(schemes) {
+        const bands = schemes.flatMap(scheme => scheme.classifications);
+        return [...new Set(bands.sort((a, b) => b.min - a.min).map(band => band.name))];
+    }
+
+    static validate(data, schemeId = null) {
+        const errors = {};
+
+        if (!data.name) errors.name = 'Vui lòng nhập tên thang điểm';
+
+        if (data.schoolYear && state.gradingSchemes.some(g => g.id !== schemeId && g.schoolYear === data.schoolYear)) {
+            errors.schoolYear = 'Năm học này đã có thang điểm khác';
+        }
+
+        if (data.passMin === null || isNaN(data.passMin)) {
+            errors.passMin = 'Điểm lên lớp phải là số từ 0 đến 10';
+        }
+
+        data.types.forEach((type, index) => {
+            if (!type.id) {
+                errors[`types.${index}.id`] = 'Nhập mã';
+            } else if (!/^[A-Za-z0-9_-]+$/.test(type.id)) {
+                errors[`types.${index}.id`] = 'Chỉ gồm chữ, số, "-" hoặc "_"';
+            } else if (data.types.findIndex(t => t.id.toLowerCase() === type.id.toLowerCase()) !== index) {
+                errors[`types.${index}.id`] = 'Mã bị trùng';
+            }
+            if (!type.name) errors[`types.${index}.name`] = 'Nhập tên';
+            if (!(type.weight > 0)) errors[`types.${index}.weight`] = 'Hệ số phải lớn hơn 0';
+        });
+
+        data.classifications.forEach((band, index) => {
+            if (!band.name) errors[`classifications.${index}.name`] = 'Nhập tên';
+            if (band.min === null || isNaN(band.min)) {
+                errors[`classifications.${index}.min`] = 'Từ 0 đến 10';
+            } else if (data.classifications.findIndex(b => b.min === band.min) !== index) {
+                errors[`classifications.${index}.min`] = 'Mức điểm bị trùng';
+            }
+        });
+
+        // Every average has to land in some band
+        const mins = data.classifications.map(band => band.min);
+        if (!mins.includes(0) && mins.every(min => min !== null && !isNaN(min))) {
+            errors[`classifications.${mins.indexOf(Math.min(...mins))}.min`] = 'Mức thấp nhất phải là 0';
+        }
+
+        return errors;
+    }
+
+    // Form input ids for the errors validate() can report
+    static formFields(data) {
+        const fields = {
+            name: 'grading-name',
+            schoolYear: 'grading-school-year',
+            passMin: 'grading-pass-min'
+        };
+        data.types.forEach((type, index) => {
+            ['id', 'name', 'weight'].forEach(part => {
+                fields[`types.${index}.${part}`] = `grading-type-${index}-${part}`;
+            });
+        });
+        data.classifications.forEach((band, index) => {
+            ['name', 'min'].forEach(part => {
+                fields[`classifications.${index}.${part}`] = `grading-band-${index}-${part}`;
+            });
+        });
+        return fields;
+    }
+
+    // Scheme as typed into the form, rows in on-screen order
+    static readForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const rows = selector => [...document.querySelectorAll(`#grading-form ${selector}`)];
+
+        return {
+            name: value('grading-name'),
+            schoolYear: value('grading-school-year'),
+            passMin: parseScore(value('grading-pass-min')),
+            types: rows('.grading-type-row').map((row, index) => ({
+                id: value(`grading-type-${index}-id`).toUpperCase(),
+                name: value(`grading-type-${index}-name`),
+                weight: parseFloat(value(`grading-type-${index}-weight`).replace(',', '.')),
+                semester: value(`grading-type-${index}-semester`)
+            })),
+            classifications: rows('.grading-band-row').map((row, index) => ({
+                name: value(`grading-band-${index}-name`),
+                min: parseScore(value(`grading-band-${index}-min`))
+            }))
+        };
+    }
+
+    static describeTypes(types) {
+        return types.map(type => `${type.name} (×${type.weight})`).join(', ');
+    }
+
+    static describeBands(classifications) {
+        return classifications.map(band => `${band.name} ≥ ${band.min}`).join(', ');
+    }
+}
+
+// Student search: accent-insensitive, tolerant of small typos, ranked
+class SearchManager {
+    // Fields searched, most significant first
+    static get fields() {
+        return [
+            { key: 'id', weight: 5, text: s => s.id || '' },
+            { key: 'name', weight: 4, text: s => getFullName(s) },
+            { key: 'tenThanh', weight: 3, text: s => s.tenThanh || '' },
+            { key: 'phuHuynh', weight: 2, text: s => s.phuHuynh || '' },
+            { key: 'sdt', weight: 2, text: s => s.sdt || '' },
+            { key: 'giaoKhu', weight: 1, text: s => s.giaoKhu || '' }
+        ];
+    }
+
+    // Fold one character at a time so indexes still line up with the original text
+    static fold(text) {
+        return Array.from(String(text).normalize('NFC'), ch => foldVietnamese(ch) || ch).join('');
+    }
+
+    static tokenize(query) {
+        return foldVietnamese(query).split(/\s+/).filter(Boolean);
+    }
+
+    // Typos allowed for a search word of this length; short words and numbers must match exactly
+    static tolerance(token) {
+        if (/^\d+$/.test(token)) return 0;
+        if (token.length >= 8) return 2;
+        if (token.length >= 5) return 1;
+        return 0;
+    }
+
+    // Edit distance counting a swap of two neighbouring letters as one typo,
+    // giving up once it exceeds max
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Best match of one search word in one field: { quality, range } or null
+    static matchToken(token, folded) {
+        const index = folded.indexOf(token);
+        if (index >= 0) {
+            const atWordStart = index === 0 || folded[index - 1] === ' ';
+            const wholeWord = atWordStart && (index + token.length === folded.length || folded[index + token.length] === ' ');
+            return { quality: wholeWord ? 3 : atWordStart ? 2 : 1, range: [index, index + token.length] };
+        }
+
+        const max = this.tolerance(token);
+        if (max === 0) return null;
+
+        // Compare against each word, and against its beginning for half-typed words
+        let best = null;
+        let offset = 0;
+        folded.split(' ').forEach(word => {
+            const distance = Math.min(
+                this.distance(token, word, max),
+                this.distance(token, word.slice(0, token.length), max)
+            );
+            if (distance <= max && (!best || distance < best.distance)) {
+                best = { distance, quality: 0, range: [offset, offset + word.length] };
+            }
+            offset += word.length + 1;
+        });
+        return best;
+    }
+
+    // Every search word has to match some field. Returns null for no match,
+    // otherwise { score, ranges: { fieldKey: [[start, end], ...] } }
+    static match(student, query) {
+        const tokens = this.tokenize(query);
+        const fields = this.fields.map(field => ({ ...field, folded: this.fold(field.text(student)) }));
+        const ranges = {};
+        let score = 0;
+
+        // How well a word matched counts first; the field only breaks ties
+        for (const token of tokens) {
+            let best = null;
+            fields.forEach(field => {
+                const found = this.matchToken(token, field.folded);
+                const fieldScore = found ? found.quality * 10 + field.weight : 0;
+                if (found && (!best || fieldScore > best.score)) {
+                    best = { score: fieldScore, key: field.key, range: found.range };
+                }
+            });
+
+            if (!best) return null;
+            score += best.score;
+            (ranges[best.key] = ranges[best.key] || []).push(best.range);
+        }
+
+        return { score, ranges };
+    }
+
+    // Wrap the matched ranges of text in <mark>
+    static highlight(text, ranges) {
+        text = String(text || '');
+        if (!ranges || ranges.length === 0) return escapeHTML(text);
+
+        const marked = new Array(text.length).fill(false);
+        ranges.forEach(([start, end]) => {
+            for (let i = start; i < end && i < text.length; i++) marked[i] = true;
+        });
+
+        let html = '';
+        for (let i = 0; i < text.length; i++) {
+            if (marked[i] && !marked[i - 1]) html += '<mark class="search-highlight">';
+            html += escapeHTML(text[i]);
+            if (marked[i] && !marked[i + 1]) html += '</mark>';
+        }
+        return html;
+    }
+}
+
+// Bulk student import from CSV/XLSX
+class ImportManager {
+    static async readFile(file) {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.csv') || name.endsWith('.txt')) {
+            return this.parseCSV(await file.text()).map(row => row.map(cell => this.fromExcelText(cell)));
+        }
+
+        if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            if (typeof XLSX === 'undefined') {
+                throw new Error('Không tải được thư viện đọc Excel');
+            }
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+        }
+
+        throw new Error('Chỉ hỗ trợ file .csv, .xlsx hoặc .xls');
+    }
+
+    // RFC 4180 CSV with quoted fields; Excel in Vietnamese locales saves with ";"
+    static parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // Undo ExportManager.toExcelText so an exported list imports back as it was
+    static fromExcelText(text) {
+        const wrapped = text.match(/^="(.*)"$/);
+        if (wrapped) return wrapped[1];
+        return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+    }
+
+    // First non-empty row is the header; blank rows are dropped
+    static splitTable(table) {
+        const rows = table.filter(row => row.some(cell => String(cell).trim() !== ''));
+        const headers = (rows.shift() || []).map(header => String(header).trim());
+        return { headers, rows };
+    }
+
+    static guessMapping(headers) {
+        const folded = headers.map(foldVietnamese);
+        const mapping = {};
+
+        IMPORT_FIELDS.forEach(({ field, label, aliases }) => {
+            const candidates = [foldVietnamese(label), ...aliases];
+            const index = folded.findIndex(header => candidates.includes(header));
+            mapping[field] = index >= 0 && !Object.values(mapping).includes(index) ? index : -1;
+        });
+
+        return mapping;
+    }
+
+    static resolveClass(value) {
+        const text = foldVietnamese(value);
+        if (!text) return '';
+
+        const classItem = state.classes.find(c => c.id.toLowerCase() === text || foldVietnamese(c.name) === text);
+        return classItem ? classItem.id : null;
+    }
+
+    static duplicateKey(student) {
+        return `${foldVietnamese(student.hoDem)} ${foldVietnamese(student.ten)}|${student.ngaySinh}`;
+    }
+
+    // Turn mapped rows into students with a status: valid, invalid or duplicate
+    static buildPreview(rows, mapping, defaultClass) {
+        const existing = new Set(state.students.map(s => this.duplicateKey(s)));
+        const seen = new Set();
+        const cell = (row, field) => mapping[field] >= 0 ? row[mapping[field]] : '';
+
+        return rows.map((row, index) => {
+            const student = {};
+            ['tenThanh', 'hoDem', 'ten', 'phuHuynh', 'giaoKhu'].forEach(field => {
+                student[field] = String(cell(row, field) ?? '').trim();
+            });
+
+            if (mapping.hoDem < 0 && mapping.ten < 0 && mapping.hoTen >= 0) {
+                const parts = String(cell(row, 'hoTen')).trim().split(/\s+/);
+                student.ten = parts.pop() || '';
+                student.hoDem = parts.join(' ');
+            }
+
+            const errors = {};
+            const rawClass = String(cell(row, 'lop') ?? '').trim();
+            const classId = this.resolveClass(rawClass);
+            student.lop = classId || (rawClass ? '' : defaultClass);
+            if (classId === null) errors.lop = `Không có lớp "${rawClass}"`;
+            else if (student.lop && !AuthManager.can('students.create', student.lop)) {
+                errors.lop = `Không có quyền thêm học sinh vào lớp "${rawClass || student.lop}"`;
+            }
+
+            ['ngaySinh', 'ngayRuaToi'].forEach(field => {
+                const raw = cell(row, field);
+                student[field] = parseVietnameseDate(raw);
+                if (String(raw).trim() && !student[field]) errors[field] = `Ngày không hợp lệ "${raw}"`;
+            });
+
+            student.sdt = restorePhoneZero(String(cell(row, 'sdt') ?? '').trim());
+
+            Object.assign(errors, { ...DataManager.validateStudent(student), ...errors });
+
+            const key = this.duplicateKey(student);
+            let status = 'valid';
+            if (Object.keys(errors).length > 0) {
+                status = 'invalid';
+            } else if (existing.has(key)) {
+                status = 'duplicate';
+                errors.duplicate = 'Đã có học sinh cùng tên và ngày sinh';
+            } else if (seen.has(key)) {
+                status = 'duplicate';
+                errors.duplicate = 'Trùng với một dòng phía trên trong file';
+            }
+            seen.add(key);
+
+            // Row numbers as the user sees them in the spreadsheet (header is row 1)
+            return { rowNumber: index + 2, student, status, errors };
+        });
+    }
+
+    // "Ngày sinh: Vui lòng nhập thông tin này" for each failing field
+    static describeErrors(errors) {
+        return Object.entries(errors).map(([field, message]) => {
+            const importField = IMPORT_FIELDS.find(f => f.field === field);
+            return importField ? `${importField.label}: ${message}` : message;
+        });
+    }
+
+    static async commit(preview) {
+        const result = { created: [], skipped: [], failed: [] };
+
+        for (const item of preview) {
+            if (item.status !== 'valid') {
+                result.skipped.push(item);
+                continue;
+            }
+
+            try {
+                await DataManager.saveStudent({ ...item.student, sdt: normalizePhone(item.student.sdt) });
+                result.created.push(item);
+            } catch (error) {
+                console.error('Import student error:', error);
+                result.failed.push({ ...item, errors: { save: error.message } });
+            }
+        }
+
+        return result;
+    }
+}
+
+// Roster and score sheet downloads
+class ExportManager {
+    static studentsTable(students) {
+        const headers = ['Mã HS', 'Tên thánh', 'Họ đệm', 'Tên', 'Lớp', 'Ngày sinh', 'Ngày rửa tội', 'Phụ huynh', 'Giáo khu', 'Số điện thoại',
+            'Ngày Rước Lễ Lần Đầu', 'Ngày Thêm Sức'];
+        const rows = students.map(student => [
+            student.id,
+            student.tenThanh,
+            student.hoDem,
+            student.ten,
+            DataManager.getClassName(student.lop),
+            formatDateDMY(student.ngaySinh),
+            formatDateDMY(student.ngayRuaToi),
+            student.phuHuynh,
+            student.giaoKhu,
+            student.sdt,
+            formatDateDMY(SacramentManager.get(student, 'RUOC_LE').date),
+            formatDateDMY(SacramentManager.get(student, 'THEM_SUC').date)
+        ]);
+        return { headers, rows };
+    }
+
+    static scoresTable(classId) {
+        const scheme = GradingManager.getScheme(classId);
+        const headers = [
+            'Mã HS', 'Tên thánh', 'Họ và tên', 'Lớp', ...scheme.types.map(type => type.name),
+            ...SEMESTERS.map(sem => `TB ${sem.name}`), 'Xếp loại', 'Kết quả'
+        ];
+        const rows = DataManager.getClassStudents(classId).map(student => {
+            const studentScores = state.scores[student.id] || {};
+            const result = GradingManager.getResult(student);
+            return [
+                student.id,
+                student.tenThanh,
+                getFullName(student),
+                DataManager.getClassName(student.lop),
+                ...scheme.types.map(type => studentScores[type.id] ? studentScores[type.id].score : ''),
+                ...SEMESTERS.map(sem => GradingManager.getResult(student, sem.id).average ?? ''),
+                result.classification ? result.classification.name : '',
+                result.passed === null ? '' : GradingManager.describeResult(result)
+            ];
+        });
+        return { headers, rows };
+    }
+
+    // Excel only detects UTF-8 CSV (and so Vietnamese diacritics) with a BOM
+    static toCSV({ headers, rows }) {
+        const escape = (value) => {
+            const text = this.toExcelText(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return '\uFEFF' + [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    // Excel runs text starting with = + - @ as a formula, so such cells get a
+    // leading apostrophe. Digit strings with a leading zero (phone numbers) are
+    // written as ="0901234567" so Excel keeps them as text instead of a number.
+    // ImportManager.fromExcelText takes both back off.
+    static toExcelText(value) {
+        const text = String(value ?? '');
+        if (typeof value !== 'string') return text;
+        if (/^0\d+$/.test(text)) return `="${text}"`;
+        return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    }
+
+    static download(table, fileName, format) {
+        if (format === 'xlsx') {
+            if (typeof XLSX === 'undefined') {
+                throw new Error('Không tải được thư viện Excel');
+            }
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]), 'Danh sách');
+            XLSX.writeFile(workbook, `${fileName}.xlsx`);
+            return;
+        }
+
+        this.saveFile(this.toCSV(table), `${fileName}.csv`, 'text/csv;charset=utf-8');
+    }
+
+    static saveFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // e.g. danh_sach_hoc_sinh_toan_ly_3a_2025-10-19, safe on any filesystem
+    static fileName(...parts) {
+        return [...parts, getToday()]
+            .map(part => foldVietnamese(part).replace(/[^a-z0-9-]+/g, '_').replace(/^_+|_+$/g, ''))
+            .filter(Boolean)
+            .join('_');
+    }
+}
+
+// Offline cache and mutation log, backed by IndexedDB
+class OfflineStore {
+    static open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB không khả dụng'));
+                    return;
+                }
+
+                const request = indexedDB.open(CONFIG.OFFLINE_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('cache');
+                    db.createObjectStore('mutations', { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    static async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    static async getCached(resource) {
+        const entry = await this.run('cache', 'readonly', store => store.get(resource));
+        return entry ? entry.data : null;
+    }
+
+    static setCached(resource, data) {
+        return this.run('cache', 'readwrite', store => store.put({ data, savedAt: Date.now() }, resource));
+    }
+
+    static getMutations() {
+        return this.run('mutations', 'readonly', store => store.getAll());
+    }
+
+    static addMutation(mutation) {
+        return this.run('mutations', 'readwrite', store => store.add(mutation));
+    }
+
+    static putMutation(mutation) {
+        return this.run('mutations', 'readwrite', store => store.put(mutation));
+    }
+
+    static removeMutation(seq) {
+        return this.run('mutations', 'readwrite', store => store.delete(seq));
+    }
+
+    static async clear() {
+        await this.run('cache', 'readwrite', store => store.clear());
+        await this.run('mutations', 'readwrite', store => store.clear());
+    }
+}
+
+// Replays writes made offline once the backend is reachable again
+class SyncManager {
+    static get resources() {
+        return {
+            students: {
+                label: 'Học sinh',
+                create: data => api.createStudent(data),
+                update: (id, data) => api.updateStudent(id, data),
+                remove: id => api.deleteStudent(id),
+                unwrap: response => response.student || response,
+                fetch: async mutation => {
+                    const response = await api.getStudent(mutation.id);
+                    return response.student || response;
+                },
+                describe: record => record ? `${record.tenThanh} ${getFullName(record)}` : ''
+            },
+            classes: {
+                label: 'Lớp',
+                create: data => api.createClass(data),
+                update: (id, data) => api.updateClass(id, data),
+                remove: id => api.deleteClass(id),
+                unwrap: response => response.class || response,
+                fetch: async mutation => {
+                    const response = await api.getClasses(mutation.data && mutation.data.schoolYear || state.schoolYear, { fresh: true });
+                    return (response.classes || response).find(c => c.id === mutation.id) || null;
+                },
+                describe: record => record ? record.name : ''
+            },
+            gradingSchemes: {
+                label: 'Thang điểm',
+                create: data => api.createGradingScheme(data),
+                update: (id, data) => api.updateGradingScheme(id, data),
+                remove: id => api.deleteGradingScheme(id),
+                unwrap: response => response.gradingScheme || response,
+                fetch: async mutation => {
+                    const response = await api.getGradingSchemes({ fresh: true });
+                    return (response.gradingSchemes || response).find(g => g.id === mutation.id) || null;
+                },
+                describe: record => record ? record.name : ''
+            },
+            scores: {
+                label: 'Điểm',
+                create: data => api.createScore(data),
+                update: (id, data) => api.updateScore(id, data),
+                remove: id => api.deleteScore(id),
+                unwrap: response => typeof response.score === 'object' ? response.score : response,
+                fetch: async mutation => {
+                    const response = await api.getStudentScores(mutation.data.studentId, mutation.data.schoolYear || state.schoolYear);
+                    const scores = DataManager.normalizeStudentScores(response.scores || response);
+                    return scores[mutation.data.type] || null;
+                },
+                describe: (record, mutation) => `${mutation.data.studentId} - ${mutation.data.type}`
+            },
+            users: {
+                label: 'User',
+                create: data => api.createUser(data),
+                update: (id, data) => api.updateUser(id, data),
+                remove: id => api.deleteUser(id),
+                unwrap: response => response.user || response,
+                fetch: async mutation => {
+                    const response = await api.getUsers({ fresh: true });
+                    return (response.users || response).find(u => u.id === mutation.id) || null;
+                },
+                describe: record => record ? record.fullName : ''
+            },
+            // Audit entries are append-only; ones recorded offline are sent on reconnect
+            audit: {
+                label: 'Nhật ký',
+                create: data => api.createAuditEntry(data),
+                update: (id, data) => api.createAuditEntry(data),
+                remove: () => Promise.resolve(),
+                unwrap: response => response.entry || response,
+                fetch: null,
+                describe: (record, mutation) => mutation.data.summary
+            },
+            // Attendance is an upsert keyed by student and date, so it never conflicts
+            attendance: {
+                label: 'Điểm danh',
+                create: data => api.saveAttendance(data),
+                update: (id, data) => api.saveAttendance(data),
+                remove: () => Promise.resolve(),
+                unwrap: response => response.record || response,
+                fetch: null,
+                describe: (record, mutation) => `${mutation.data.studentId} - ${mutation.data.date}`
+            }
+        };
+    }
+
+    // Record an offline write. Only signed-in backend sessions queue anything;
+    // demo mode has nowhere to sync to.
+    static async queue(resource, action, id, data, base = null) {
+        DataManager.cacheResource(resource);
+        if (!api.token) return;
+
+        try {
+            const mutations = await OfflineStore.getMutations();
+            const pendingCreate = mutations.find(m =>
+                m.resource === resource && m.id === id && m.action === 'create' && !m.conflict);
+
+            // Fold edits of a record created offline into its create, and drop
+            // the pair entirely when it is deleted before ever reaching the server
+            if (pendingCreate && action === 'update') {
+                pendingCreate.data = { ...pendingCreate.data, ...data };
+                await OfflineStore.putMutation(pendingCreate);
+            } else if (pendingCreate && action === 'delete') {
+                await OfflineStore.removeMutation(pendingCreate.seq);
+            } else {
+                await OfflineStore.addMutation({
+                    resource,
+                    action,
+                    id,
+                    data,
+                    base: base ? { ...base } : null,
+                    queuedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error('Queue offline mutation error:', error);
+            showToast('Không lưu được thay đổi ngoại tuyến', 'error');
+        }
+
+        this.updateIndicator();
+    }
+
+    // Compare the server copy against the snapshot the offline edit was based on
+    static hasConflict(mutation, server) {
+        const base = mutation.base;
+        if (!base) return false;
+        if (!server) return mutation.action !== 'delete';
+
+        if (base.updatedAt && server.updatedAt) {
+            return base.updatedAt !== server.updatedAt;
+        }
+
+        return Object.keys(base)
+            .filter(key => key !== 'id' && key !== 'password' && typeof base[key] !== 'object')
+            .some(key => String(base[key] ?? '') !== String(server[key] ?? ''));
+    }
+
+    static async replay() {
+        if (this.replaying || !api.token || !state.isOnline) return;
+        this.replaying = true;
+
+        let applied = 0;
+        let conflicts = 0;
+        const idMap = {};
+        // Later edits of a record stay queued behind its unresolved conflict
+        const blocked = new Set();
+
+        try {
+            const mutations = await OfflineStore.getMutations();
+
+            for (const mutation of mutations) {
+                const key = `${mutation.resource}:${mutation.id}`;
+                if (mutation.conflict) {
+                    blocked.add(key);
+                    conflicts++;
+                    continue;
+                }
+                if (blocked.has(key)) continue;
+
+                // Records created offline get their server ids during this replay
+                if (idMap[mutation.id]) mutation.id = idMap[mutation.id];
+                if (mutation.data && idMap[mutation.data.studentId]) {
+                    mutation.data = { ...mutation.data, studentId: idMap[mutation.data.studentId] };
+                }
+                if (mutation.resource === 'audit' && idMap[mutation.data.recordId]) {
+                    mutation.data = { ...mutation.data, recordId: idMap[mutation.data.recordId] };
+                }
+
+                const handler = this.resources[mutation.resource];
+                try {
+                    if (mutation.action !== 'create' && handler.fetch) {
+                        const server = await handler.fetch(mutation).catch(error => {
+                            if (error.status === 404) return null;
+                            throw error;
+                        });
+                        if (this.hasConflict(mutation, server)) {
+                            await OfflineStore.putMutation({ ...mutation, conflict: { server } });
+                            blocked.add(key);
+                            conflicts++;
+                            continue;
+                        }
+                        if (!server && mutation.action === 'delete') {
+                            await OfflineStore.removeMutation(mutation.seq);
+                            continue;
+                        }
+                    }
+
+                    const response = await this.apply(mutation);
+                    if (mutation.action === 'create' && response) {
+                        const saved = handler.unwrap(response);
+                        if (saved && saved.id && saved.id !== mutation.id) idMap[mutation.id] = saved.id;
+                    }
+                    await OfflineStore.removeMutation(mutation.seq);
+                    if (mutation.resource !== 'audit') applied++;
+                } catch (error) {
+                    // Network and server errors (and an expired session): stop and retry later.
+                    // Rejections (4xx) won't succeed on retry, so surface them like conflicts.
+                    if (!error.status || error.status >= 500 || error.sessionExpired) throw error;
+                    await OfflineStore.putMutation({ ...mutation, conflict: { server: null, message: error.message } });
+                    blocked.add(key);
+                    conflicts++;
+                }
+            }
+        } catch (error) {
+            console.error('Replay offline mutations error:', error);
+        } finally {
+            this.replaying = false;
+        }
+
+        if (applied > 0) {
+            showToast(`Đã đồng bộ ${applied} thay đổi ngoại tuyến`, 'success');
+            if (state.currentUser) UIManager.loadPageContent(state.currentPage);
+        }
+        if (conflicts > 0) {
+            showToast(`${conflicts} thay đổi bị xung đột với dữ liệu trên máy chủ`, 'warning');
+        }
+        this.updateIndicator();
+    }
+
+    static apply(mutation) {
+        const handler = this.resources[mutation.resource];
+        switch (mutation.action) {
+            case 'create':
+                return handler.create(mutation.data);
+            case 'update':
+                return handler.update(mutation.id, mutation.data);
+            case 'delete':
+                return handler.remove(mutation.id);
+        }
+    }
+
+    static async resolveConflict(seq, keepLocal) {
+        const mutations = await OfflineStore.getMutations();
+        const mutation = mutations.find(m => m.seq === seq);
+        if (!mutation) return;
+
+        try {
+            if (keepLocal) {
+                const { conflict, ...pending } = mutation;
+                // Recreate records that were deleted on the server in the meantime
+                if (!conflict.server && pending.action === 'update') {
+                    pending.action = 'create';
+                    pending.data = { ...pending.base, ...pending.data };
+                }
+                await this.apply(pending);
+            }
+            await OfflineStore.removeMutation(seq);
+            showToast(keepLocal ? 'Đã ghi đè bằng thay đổi của bạn' : 'Đã giữ dữ liệu trên máy chủ', 'success');
+        } catch (error) {
+            showToast('Lỗi đồng bộ: ' + error.message, 'error');
+            console.error('Resolve conflict error:', error);
+        }
+
+        await this.replay();
+        await UIManager.renderSyncConflicts();
+    }
+
+    static async updateIndicator() {
+        const indicator = document.getElementById('sync-status');
+        if (!indicator) return;
+
+        // Audit entries ride along with the changes they describe and aren't counted
+        const mutations = (await OfflineStore.getMutations().catch(() => [])).filter(m => m.resource !== 'audit');
+        const conflicts = mutations.filter(m => m.conflict).length;
+        const pending = mutations.length - conflicts;
+
+        indicator.classList.toggle('hidden', mutations.length === 0);
+        indicator.classList.toggle('sync-status--conflict', conflicts > 0);
+        indicator.textContent = conflicts > 0
+            ? `${conflicts} xung đột`
+            : `${pending} thay đổi chờ đồng bộ`;
+    }
+}
+
+// UI Management
+// Hash router: #/page, #/students/<id> (detail modal), #/scores?class=&type=,
+// #/attendance?class=&date=. In-app navigation pushes history entries directly,
+// so hashchange only fires for back/forward, refreshes and typed URLs.
+class Router {
+    static start() {
+        window.addEventListener('hashchange', () => this.apply());
+    }
+
+    static parse(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [page, id] = path.split('/').map(decodeURIComponent);
+        return { page: page || '', id: id || null, params: Object.fromEntries(new URLSearchParams(query)) };
+    }
+
+    static build(page, id = null, params = {}) {
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value && value !== 'all')).toString();
+        return `#/${page}${id ? '/' + encodeURIComponent(id) : ''}${query ? '?' + query : ''}`;
+    }
+
+    // The hash describing a page as it is currently filtered
+    static pageHash(pageId) {
+        switch (pageId) {
+            case 'scores':
+                return this.build('scores', null, { class: state.filters.scoresClass, type: state.filters.scoreType });
+            case 'attendance':
+                return this.build('attendance', null, { class: state.filters.attendanceClass, date: state.filters.attendanceDate });
+            case 'calendar':
+                return this.build('calendar', null, { class: state.filters.calendarClass, month: state.filters.calendarMonth });
+            default:
+                return this.build(pageId);
+        }
+    }
+
+    static push(hash) {
+        if (hash !== window.location.hash) history.pushState(null, '', hash);
+    }
+
+    static replace(hash) {
+        if (hash !== window.location.hash) history.replaceState(null, '', hash);
+    }
+
+    // Keep the address bar in step with filter changes without adding history entries
+    static syncPage(pageId) {
+        if (state.currentPage === pageId && !this.parse().id) this.replace(this.pageHash(pageId));
+    }
+
+    static canOpen(pageId) {
+        return ROUTE_PAGES[pageId] !== undefined && AuthManager.can(ROUTE_PAGES[pageId]);
+    }
+
+    // Show whatever the current hash points at (after login, refresh or back/forward)
+    static apply() {
+        if (!AuthManager.getCurrentUser()) return;
+
+        const route = this.parse();
+        if (!this.canOpen(route.page)) {
+            this.replace(this.build('students'));
+            UIManager.showPage('students', { fromRouter: true });
+            return;
+        }
+
+        if (route.page === 'scores') {
+            if (route.params.class) state.filters.scoresClass = route.params.class;
+            // Checked against the class's grading scheme once the page renders
+            if (route.params.type) state.filters.scoreType = route.params.type;
+        }
+        if (route.page === 'attendance') {
+            if (route.params.class) state.filters.attendanceClass = route.params.class;
+            if (/^\d{4}-\d{2}-\d{2}$/.test(route.params.date || '')) state.filters.attendanceDate = route.params.date;
+        }
+        if (route.page === 'calendar') {
+            if (route.params.class) state.filters.calendarClass = route.params.class;
+            if (/^\d{4}-\d{2}$/.test(route.params.month || '')) state.filters.calendarMonth = route.params.month;
+        }
+
+        UIManager.showPage(route.page, { fromRouter: true });
+
+        const detailOpen = !document.getElementById('student-modal').classList.contains('hidden');
+        if (route.page === 'students' && route.id) {
+            UIManager.showStudentDetail(route.id, { fromRouter: true });
+        } else if (detailOpen) {
+            UIManager.closeModal('student-modal', { fromRouter: true });
+        }
+    }
+}
+
+class UIManager {
+    static showLoginPage() {
+        const loginPage = document.getElementById('login-page');
+        const mainApp = document.getElementById('main-app');
+        
+        if (loginPage && mainApp) {
+            loginPage.classList.remove('hidden');
+            mainApp.classList.add('hidden');
+        }
+    }
+
+    static showLoginMessage(message) {
+        const el = document.getElementById('login-message');
+        if (!el) return;
+        el.textContent = message;
+        el.classList.remove('hidden');
+    }
+
+    static hideLoginMessage() {
+        const el = document.getElementById('login-message');
+        if (el) el.classList.add('hidden');
+    }
+
+    static showSessionWarning(expiresAt) {
+        const banner = document.getElementById('session-warning');
+        if (!banner) return;
+
+        const time = new Date(expiresAt).toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('session-warning-text').textContent =
+            `Phiên đăng nhập sẽ hết hạn lúc ${time}. Hãy lưu lại công việc đang làm.`;
+        document.getElementById('extend-session-btn').classList.toggle('hidden', !api.refreshToken);
+        banner.classList.remove('hidden');
+    }
+
+    static hideSessionWarning() {
+        const banner = document.getElementById('session-warning');
+        if (banner) banner.classList.add('hidden');
+    }
+
+    static showMainApp() {
+        const loginPage = document.getElementById('login-page');
+        const mainApp = document.getElementById('main-app');
+        
+        if (loginPage && mainApp) {
+            loginPage.classList.add('hidden');
+            mainApp.classList.remove('hidden');
+            this.hideLoginMessage();
+            this.updateUserInfo();
+            this.updateDataSourceBadge();
+
+            // Signed back in after an expired session: pick up where the user was
+            const suspended = AuthManager.takeSuspendedSession(AuthManager.getCurrentUser());
+            if (suspended) {
+                suspended.openModals.forEach(id => this.openModal(id));
+                this.resumeBulkAction();
+                SyncManager.replay();
+                return;
+            }
+
+            state.editingItem = null;
+            DataManager.resetState();
+            this.renderUndoBar();
+            document.querySelectorAll('.modal').forEach(modal => modal.classList.add('hidden'));
+            // Land on the page in the address bar, if any (refresh or shared link)
+            if (Router.parse().page) {
+                Router.apply();
+            } else {
+                this.showPage('students');
+            }
+        }
+    }
+
+    static updateUserInfo() {
+        const user = AuthManager.getCurrentUser();
+        if (!user) return;
+        
+        const roleEl = document.getElementById('user-role');
+        const nameEl = document.getElementById('user-name');
+        
+        if (roleEl) roleEl.textContent = user.role;
+        if (nameEl) nameEl.textContent = user.fullName;
+        
+        this.renderSchoolYear();
+        this.applyPermissions();
+    }
+
+    // Header year selector, plus the banner that marks a past year as read-only
+    static renderSchoolYear() {
+        const select = document.getElementById('school-year');
+        if (select) {
+            select.innerHTML = DataManager.getSchoolYearOptions()
+                .map(year => `<option value="${year}">Năm học ${year}</option>`).join('');
+            select.value = state.schoolYear;
+        }
+
+        const archived = DataManager.isArchivedYear();
+        const banner = document.getElementById('archive-banner');
+        if (banner) {
+            banner.classList.toggle('hidden', !archived);
+            document.getElementById('archive-banner-year').textContent = state.schoolYear;
+        }
+        document.body.classList.toggle('is-archive', archived);
+    }
+
+    static async changeSchoolYear(schoolYear) {
+        // A waiting bulk change belongs to the year it was made in
+        await this.commitBulkAction();
+        state.selectedStudents.clear();
+        DataManager.setSchoolYear(schoolYear);
+        this.renderSchoolYear();
+        this.applyPermissions();
+        await this.loadPageContent(state.currentPage);
+    }
+
+    // Show only the nav items and buttons whose data-permission the user holds
+    static applyPermissions(root = document) {
+        root.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('hidden', !AuthManager.can(el.dataset.permission));
+        });
+    }
+
+    static showPage(pageId, { fromRouter = false } = {}) {
+        if (!fromRouter) Router.push(Router.pageHash(pageId));
+        this.hideLoadError();
+
+        // Hide all pages
+        document.querySelectorAll('.page').forEach(page => {
+            page.classList.add('hidden');
+        });
+        
+        // Show selected page
+        const page = document.getElementById(pageId + '-page');
+        if (page) {
+            page.classList.remove('hidden');
+        }
+        
+        // Update navigation
+        document.querySelectorAll('.navbar__item').forEach(item => {
+            item.classList.remove('navbar__item--active');
+        });
+        
+        const activeItem = document.querySelector(`[data-page="${pageId}"]`);
+        if (activeItem) {
+            activeItem.classList.add('navbar__item--active');
+        }
+        
+        state.currentPage = pageId;
+        
+        // Load page content
+        this.loadPageContent(pageId);
+    }
+
+    // Re-render the visible page from state without reloading it. Skipped while
+    // score cells have unsaved edits so a background refresh can't wipe them.
+    static refreshCurrentPage() {
+        if (!state.currentUser || document.querySelector('.score-cell--dirty, .score-cell--saving')) return;
+
+        const renderers = {
+            students: () => this.renderStudentsPage(),
+            scores: () => this.renderScoresPage(),
+            dashboard: () => this.renderDashboard(),
+            sacraments: () => this.renderSacramentsPage(),
+            calendar: () => this.renderCalendarPage(),
+            users: () => this.renderUsersPage(),
+            classes: () => this.renderClassesPage(),
+            grading: () => this.renderGradingPage()
+        };
+        if (renderers[state.currentPage]) renderers[state.currentPage]();
+    }
+
+    static async loadPageContent(pageId) {
+        showLoading(true);
+        
+        try {
+            switch(pageId) {
+                case 'students':
+                    await DataManager.loadStudents();
+                    await DataManager.loadClasses();
+                    await DataManager.loadGradingSchemes();
+                    this.renderStudentsPage();
+                    break;
+                case 'scores':
+                    await DataManager.loadStudents();
+                    await DataManager.loadClasses();
+                    await DataManager.loadGradingSchemes();
+                    await DataManager.loadScores();
+                    this.renderScoresPage();
+                    break;
+                case 'attendance':
+                    await DataManager.loadStudents();
+                    await DataManager.loadClasses();
+                    await this.renderAttendancePage();
+                    break;
+                case 'dashboard':
+                    await Promise.all([
+                        DataManager.loadStudents(),
+                        DataManager.loadClasses(),
+                        DataManager.loadGradingSchemes(),
+                        DataManager.loadScores()
+                    ]);
+                    this.renderDashboard();
+                    break;
+                case 'users':
+                    if (AuthManager.can('users.manage')) {
+                        await Promise.all([
+                            DataManager.loadUsers(),
+                            DataManager.loadClasses()
+                        ]);
+                        this.renderUsersPage();
+                    }
+                    break;
+                case 'classes':
+                    if (AuthManager.can('classes.manage')) {
+                        // Scores decide who moves up in the promotion wizard
+                        await Promise.all([
+                            DataManager.loadStudents(),
+                            DataManager.loadClasses(),
+                            DataManager.loadGradingSchemes(),
+                            DataManager.loadScores()
+                        ]);
+                        this.renderClassesPage();
+                    }
+                    break;
+                case 'grading':
+                    if (AuthManager.can('grading.manage')) {
+                        await Promise.all([
+                            DataManager.loadClasses(),
+                            DataManager.loadGradingSchemes()
+                        ]);
+                        this.renderGradingPage();
+                    }
+                    break;
+                case 'calendar':
+                    await Promise.all([
+                        DataManager.loadStudents(),
+                        DataManager.loadClasses()
+                    ]);
+                    this.renderCalendarPage();
+                    break;
+                case 'sacraments':
+                    await Promise.all([
+                        DataManager.loadStudents(),
+                        DataManager.loadClasses()
+                    ]);
+                    this.renderSacramentsPage();
+                    break;
+                case 'audit':
+                    if (AuthManager.can('audit.view')) {
+                        await DataManager.loadUsers();
+                        await this.renderAuditPage();
+                    }
+                    break;
+                case 'trash':
+                    if (AuthManager.can('trash.manage')) {
+                        await DataManager.loadClasses();
+                        await DataManager.loadUsers();
+                        await this.renderTrashPage();
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error('Load page error:', error);
+            this.showLoadError(pageId, error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // A page whose data couldn't be loaded is replaced by an error panel with a
+    // retry button, rather than showing partial or stale records
+    static showLoadError(pageId, error) {
+        const page = document.getElementById(pageId + '-page');
+        const panel = document.getElementById('page-error');
+        if (!panel) return;
+
+        if (page) page.classList.add('hidden');
+        document.getElementById('page-error-message').textContent = error.message || 'Lỗi không xác định';
+        panel.classList.remove('hidden');
+    }
+
+    static hideLoadError() {
+        const panel = document.getElementById('page-error');
+        if (panel) panel.classList.add('hidden');
+    }
+
+    static updateDataSourceBadge() {
+        const badge = document.getElementById('data-source-badge');
+        if (!badge) return;
+
+        const sandbox = state.dataSource === 'sandbox';
+        badge.textContent = sandbox ? 'SANDBOX · dữ liệu mẫu' : 'Dữ liệu thật';
+        badge.title = sandbox
+            ? 'Đang dùng dữ liệu mẫu, mọi thay đổi chỉ nằm trên máy này đến khi đăng xuất hoặc tải lại trang'
+            : 'Đang làm việc với dữ liệu trên máy chủ';
+        badge.classList.toggle('data-source-badge--sandbox', sandbox);
+        document.body.classList.toggle('is-sandbox', sandbox);
+    }
+
+    // Students Page
+    static renderStudentsPage() {
+        this.renderStudentsFilter();
+        this.renderStudentsGrid();
+    }
+
+    static renderStudentsFilter() {
+        const container = document.getElementById('students-filter');
+        if (!container) return;
+
+        const availableClasses = DataManager.getAvailableClasses();
+        const students = DataManager.getVisibleStudents();
+
+        const allCount = students.length;
+
+        let buttonsHTML = `
+            <button class="filter-btn ${state.filters.studentsClass === 'all' ? 'filter-btn--active' : ''}" data-class="all">
+                Tất cả <span class="count">(${allCount})</span>
+            </button>
+        `;
+
+        availableClasses.forEach(classData => {
+            const count = students.filter(s => s.lop === classData.id).length;
+            if (count > 0) {
+                buttonsHTML += `
+                    <button class="filter-btn ${state.filters.studentsClass === classData.id ? 'filter-btn--active' : ''}" data-class="${classData.id}">
+                        ${escapeHTML(classData.name)} <span class="count">(${count})</span>
+                    </button>
+                `;
+            }
+        });
+
+        container.innerHTML = buttonsHTML;
+
+        this.renderStudentsAdvancedFilters(students);
+    }
+
+    // Option lists come from the students the user can see; the values from state.filters
+    static renderStudentsAdvancedFilters(students) {
+        const options = (values, selected) => values.map(([value, label]) =>
+            `<option value="${escapeHTML(value)}" ${String(selected) === String(value) ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('');
+
+        const districts = [...new Set(students.map(s => s.giaoKhu).filter(Boolean))].sort(vietnameseCollator.compare);
+        const years = [...new Set(students.map(s => (s.ngaySinh || '').split('-')[0]).filter(Boolean))].sort();
+        const filters = state.filters;
+
+        const selects = {
+            'filter-giao-khu': [['all', 'Tất cả giáo khu'], ...districts.map(d => [d, d])],
+            'filter-birth-year': [['all', 'Mọi năm sinh'], ...years.map(y => [y, y])],
+            'filter-birth-month': [['all', 'Mọi tháng sinh'], ...Array.from({ length: 12 }, (_, i) => [i + 1, `Sinh tháng ${i + 1}`])],
+            'filter-missing': [['all', 'Đủ hoặc thiếu thông tin'], ...MISSING_DATA_FILTERS.map(f => [f.id, f.name])],
+            'filter-sort': [['name', 'Sắp xếp theo tên'], ['age', 'Sắp xếp theo tuổi'], ['class', 'Sắp xếp theo lớp']]
+        };
+        const selected = {
+            'filter-giao-khu': filters.studentsGiaoKhu,
+            'filter-birth-year': filters.studentsBirthYear,
+            'filter-birth-month': filters.studentsBirthMonth,
+            'filter-missing': filters.studentsMissing,
+            'filter-sort': filters.studentsSort
+        };
+
+        Object.entries(selects).forEach(([id, values]) => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options(values, selected[id]);
+        });
+
+        const ageMin = document.getElementById('filter-age-min');
+        const ageMax = document.getElementById('filter-age-max');
+        if (ageMin) ageMin.value = filters.studentsAgeMin;
+        if (ageMax) ageMax.value = filters.studentsAgeMax;
+
+        const activeCount = DataManager.countActiveStudentFilters();
+        const clearBtn = document.getElementById('clear-student-filters');
+        if (clearBtn) {
+            clearBtn.classList.toggle('hidden', activeCount === 0);
+            clearBtn.textContent = `Xóa bộ lọc (${activeCount})`;
+        }
+    }
+
+    static renderStudentsGrid() {
+        const filtered = DataManager.getFilteredStudents();
+        const container = document.getElementById('students-grid');
+        const noResults = document.getElementById('students-no-results');
+
+        if (!container || !noResults) return;
+
+        // Only students still on the grid stay selected, so bulk actions never reach hidden ones
+        const filteredIds = new Set(filtered.map(s => s.id));
+        state.selectedStudents.forEach(id => {
+            if (!filteredIds.has(id)) state.selectedStudents.delete(id);
+        });
+        this.renderBulkBar();
+
+        if (filtered.length === 0) {
+            container.classList.add('hidden');
+            noResults.classList.remove('hidden');
+            return;
+        }
+
+        container.classList.remove('hidden');
+        noResults.classList.add('hidden');
+
+        const searching = SearchManager.tokenize(state.search).length > 0;
+        const pendingIds = state.pendingBulk ? state.pendingBulk.studentIds : [];
+
+        const studentsHTML = filtered.map(student => {
+            const ranges = searching ? SearchManager.match(student, state.search).ranges : {};
+            const mark = (key, text) => SearchManager.highlight(text, ranges[key]);
+
+            // Parent and phone aren't on the card normally; show them when they matched
+            const extraMatches = [['phuHuynh', 'Phụ huynh'], ['sdt', 'SĐT']]
+                .filter(([key]) => ranges[key])
+                .map(([key, label]) => `<div class="student-card__match">${label}: ${mark(key, student[key])}</div>`)
+                .join('');
+
+            const selected = state.selectedStudents.has(student.id);
+            const pending = pendingIds.includes(student.id);
+
+            return `
+                <div class="student-card ${selected ? 'student-card--selected' : ''} ${pending ? 'student-card--pending' : ''}" data-student-id="${student.id}">
+                    <input type="checkbox" class="student-card__select" aria-label="Chọn ${escapeHTML(getFullName(student))}" ${selected ? 'checked' : ''}>
+                    <div class="student-card__avatar ${getAvatarColor(student.id)}">
+                        ${escapeHTML(getInitials(student.tenThanh, student.hoDem, student.ten))}
+                    </div>
+                    <div class="student-card__info">
+                        <div class="student-card__name">${mark('tenThanh', student.tenThanh)} ${mark('name', getFullName(student))}</div>
+                        <div class="student-card__class">${escapeHTML(DataManager.getClassName(student.lop))}</div>
+                        ${extraMatches}
+                        <div class="student-card__details">
+                            <div class="student-card__id">${mark('id', student.id)}</div>
+                            <div>${mark('giaoKhu', student.giaoKhu)}</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = studentsHTML;
+    }
+
+    // Grid selection: a click on the checkbox toggles one student, shift-click
+    // gives the whole run from the last clicked student that student's state
+    static toggleStudentSelection(studentId, { range = false } = {}) {
+        const selected = state.selectedStudents;
+        const ids = DataManager.getFilteredStudents().map(s => s.id);
+        const anchor = ids.indexOf(state.selectionAnchor);
+        const index = ids.indexOf(studentId);
+
+        if (range && anchor >= 0 && index >= 0) {
+            const select = selected.has(state.selectionAnchor);
+            ids.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+                .forEach(id => select ? selected.add(id) : selected.delete(id));
+        } else if (selected.has(studentId)) {
+            selected.delete(studentId);
+        } else {
+            selected.add(studentId);
+        }
+        state.selectionAnchor = studentId;
+
+        this.updateStudentSelection();
+    }
+
+    static selectAllStudents() {
+        DataManager.getFilteredStudents().forEach(s => state.selectedStudents.add(s.id));
+        this.updateStudentSelection();
+    }
+
+    static clearStudentSelection() {
+        state.selectedStudents.clear();
+        state.selectionAnchor = null;
+        this.updateStudentSelection();
+    }
+
+    // Sync the cards already on screen instead of rebuilding the grid on every click
+    static updateStudentSelection() {
+        document.querySelectorAll('#students-grid .student-card').forEach(card => {
+            const selected = state.selectedStudents.has(card.getAttribute('data-student-id'));
+            card.classList.toggle('student-card--selected', selected);
+            const checkbox = card.querySelector('.student-card__select');
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.renderBulkBar();
+    }
+
+    static getSelectedStudents() {
+        return DataManager.getFilteredStudents().filter(s => state.selectedStudents.has(s.id));
+    }
+
+    static renderBulkBar() {
+        const bar = document.getElementById('students-bulk-bar');
+        if (!bar) return;
+
+        const count = state.selectedStudents.size;
+        bar.classList.toggle('hidden', count === 0);
+        if (count === 0) return;
+
+        document.getElementById('bulk-count').textContent = `Đã chọn ${count} học sinh`;
+
+        const classSelect = document.getElementById('bulk-class');
+        if (classSelect) {
+            classSelect.innerHTML = [['', 'Chuyển sang lớp...'], ...DataManager.getAvailableClasses().map(c => [c.id, c.name])]
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        }
+
+        const districtOptions = document.getElementById('bulk-giao-khu-options');
+        if (districtOptions) {
+            const districts = [...new Set(DataManager.getVisibleStudents().map(s => s.giaoKhu).filter(Boolean))].sort(vietnameseCollator.compare);
+            districtOptions.innerHTML = districts.map(d => `<option value="${escapeHTML(d)}">`).join('');
+        }
+    }
+
+    static bulkChangeClass(classId) {
+        const students = this.getSelectedStudents().filter(s => s.lop !== classId);
+        if (!classId) return;
+        if (students.length === 0) {
+            showToast('Các học sinh đã chọn đều đang ở lớp này', 'warning');
+            return;
+        }
+
+        this.startBulkAction({
+            message: `Chuyển ${students.length} học sinh sang ${DataManager.getClassName(classId)}`,
+            studentIds: students.map(s => s.id),
+            commit: ids => DataManager.updateStudents(ids, { lop: classId })
+        });
+    }
+
+    static bulkChangeGiaoKhu(giaoKhu) {
+        if (!giaoKhu) {
+            showToast('Vui lòng nhập giáo khu mới', 'warning');
+            return;
+        }
+        const students = this.getSelectedStudents().filter(s => s.giaoKhu !== giaoKhu);
+        if (students.length === 0) {
+            showToast('Các học sinh đã chọn đều thuộc giáo khu này', 'warning');
+            return;
+        }
+
+        this.startBulkAction({
+            message: `Đổi giáo khu của ${students.length} học sinh thành ${giaoKhu}`,
+            studentIds: students.map(s => s.id),
+            commit: ids => DataManager.updateStudents(ids, { giaoKhu })
+        });
+    }
+
+    static bulkDeleteStudents() {
+        const students = this.getSelectedStudents();
+        if (students.length === 0) return;
+
+        this.startBulkAction({
+            message: `Chuyển ${students.length} học sinh vào thùng rác`,
+            studentIds: students.map(s => s.id),
+            commit: ids => DataManager.deleteStudents(ids)
+        });
+    }
+
+    static printSelectedStudents() {
+        const students = this.getSelectedStudents();
+        if (students.length === 0) return;
+
+        const table = ExportManager.studentsTable(students);
+        this.printHTML(`
+            <h2>Danh sách học sinh - Năm học ${state.schoolYear}</h2>
+            <table class="data-table">
+                <thead><tr>${table.headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${table.rows.map(row => `<tr>${row.map(value => `<td>${escapeHTML(value)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    // Bulk writes wait out an undo window before anything is saved. Starting another
+    // one (or switching year, logging out or leaving the page) saves the one still
+    // waiting first. An expired session pauses the window until the user is back.
+    static async startBulkAction(action) {
+        await this.commitBulkAction();
+
+        state.pendingBulk = {
+            ...action,
+            secondsLeft: BULK_UNDO_SECONDS,
+            timer: setInterval(() => this.tickBulkAction(), 1000)
+        };
+        state.selectedStudents.clear();
+        state.selectionAnchor = null;
+
+        this.renderStudentsGrid();
+        this.renderUndoBar();
+    }
+
+    static tickBulkAction() {
+        const pending = state.pendingBulk;
+        if (!pending) return;
+
+        pending.secondsLeft -= 1;
+        if (pending.secondsLeft <= 0) {
+            this.commitBulkAction();
+        } else {
+            this.renderUndoBar();
+        }
+    }
+
+    static pauseBulkAction() {
+        const pending = state.pendingBulk;
+        if (!pending) return;
+
+        clearInterval(pending.timer);
+        pending.timer = null;
+    }
+
+    static resumeBulkAction() {
+        const pending = state.pendingBulk;
+        if (!pending || pending.timer) return;
+
+        pending.timer = setInterval(() => this.tickBulkAction(), 1000);
+        this.renderUndoBar();
+    }
+
+    static undoBulkAction() {
+        const pending = state.pendingBulk;
+        if (!pending) return;
+
+        clearInterval(pending.timer);
+        state.pendingBulk = null;
+        // Hand the selection back so another action can be picked
+        pending.studentIds.forEach(id => state.selectedStudents.add(id));
+
+        this.renderUndoBar();
+        if (state.currentPage === 'students') this.renderStudentsGrid();
+        showToast('Đã hoàn tác: ' + pending.message, 'info');
+    }
+
+    static async commitBulkAction() {
+        const pending = state.pendingBulk;
+        if (!pending) return;
+
+        clearInterval(pending.timer);
+        state.pendingBulk = null;
+        this.renderUndoBar();
+
+        showLoading(true);
+        try {
+            const result = await pending.commit(pending.studentIds);
+            this.refreshCurrentPage();
+            if (result.failed.length > 0) {
+                showToast(`${pending.message}: ${result.failed.length} học sinh không lưu được (${result.failed[0].error})`, 'warning');
+            } else {
+                showToast('Đã lưu: ' + pending.message, 'success');
+            }
+        } catch (error) {
+            showToast('Lỗi lưu thay đổi: ' + error.message, 'error');
+            console.error('Bulk action error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static renderUndoBar() {
+        const bar = document.getElementById('undo-bar');
+        if (!bar) return;
+
+        const pending = state.pendingBulk;
+        bar.classList.toggle('hidden', !pending);
+        if (!pending) return;
+
+        document.getElementById('undo-message').textContent = pending.message;
+        document.getElementById('undo-countdown').textContent = `(${pending.secondsLeft}s)`;
+    }
+
+    // Modals
+    static openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) modal.classList.remove('hidden');
+    }
+
+    static closeModal(modalId, { fromRouter = false } = {}) {
+        const modal = document.getElementById(modalId);
+        if (!modal || modal.classList.contains('hidden')) return;
+        modal.classList.add('hidden');
+
+        if (modalId === 'student-modal' && !fromRouter) this.leaveStudentRoute();
+    }
+
+    // Drop the #/students/<id> route: step back if we pushed that entry ourselves,
+    // otherwise (opened from a link) swap it for the plain list
+    static leaveStudentRoute() {
+        if (Router.parse().id) {
+            if (this.pushedStudentRoute) {
+                history.back();
+            } else {
+                Router.replace(Router.build('students'));
+            }
+        }
+        this.pushedStudentRoute = false;
+    }
+
+    // Student Detail Modal
+    static async showStudentDetail(studentId, { fromRouter = false } = {}) {
+        const body = document.getElementById('student-modal-body');
+        if (!body) return;
+
+        // Only the Students page has detail links; elsewhere the modal just opens on top
+        if (!fromRouter && state.currentPage === 'students' && Router.parse().id !== studentId) {
+            Router.push(Router.build('students', studentId));
+            this.pushedStudentRoute = true;
+        }
+
+        showLoading(true);
+        try {
+            const { student, scores } = await DataManager.loadStudentDetail(studentId);
+            if (!student) {
+                showToast('Không tìm thấy học sinh', 'error');
+                this.leaveStudentRoute();
+                return;
+            }
+
+            body.innerHTML = this.renderStudentDetail(student, scores);
+            this.openModal('student-modal');
+        } catch (error) {
+            this.leaveStudentRoute();
+            showToast('Lỗi tải thông tin học sinh', 'error');
+            console.error('Load student detail error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static renderStudentDetail(student, scores) {
+        const fields = [
+            ['Mã học sinh', student.id],
+            ['Tên thánh', student.tenThanh],
+            ['Họ và tên', getFullName(student)],
+            ['Lớp', DataManager.getClassName(student.lop)],
+            ['Ngày sinh', student.ngaySinh ? formatDate(student.ngaySinh) : ''],
+            ...SACRAMENTS.map(sacrament => [sacrament.name, SacramentManager.formatRecord(SacramentManager.get(student, sacrament.id))]),
+            ['Phụ huynh', student.phuHuynh],
+            ['Giáo khu', student.giaoKhu],
+            ['Số điện thoại', student.sdt]
+        ];
+
+        const fieldsHTML = fields.map(([label, value]) => `
+            <div class="detail-field">
+                <span class="detail-field__label">${label}</span>
+                <span class="detail-field__value">${value ? escapeHTML(value) : '—'}</span>
+            </div>
+        `).join('');
+
+        // The class's score types first, in grid order, then anything else the backend returned
+        const scheme = GradingManager.getScheme(student.lop);
+        const knownTypes = scheme.types.map(type => type.id);
+        const types = [...knownTypes, ...Object.keys(scores).filter(type => !knownTypes.includes(type))]
+            .filter(type => scores[type]);
+        const yearResult = GradingManager.getResult(student, 'CN', scores);
+
+        const scoresHTML = types.length === 0
+            ? '<p class="student-detail__empty">Chưa có điểm nào.</p>'
+            : `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Loại điểm</th><th>Điểm</th><th>Ngày</th></tr>
+                    </thead>
+                    <tbody>
+                        ${types.map(type => `
+                            <tr>
+                                <td>${GradingManager.getTypeName(student.lop, type)}</td>
+                                <td><strong>${scores[type].score}</strong></td>
+                                <td>${scores[type].date ? formatDate(scores[type].date) : '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        ${SEMESTERS.map(sem => {
+                            const average = GradingManager.getResult(student, sem.id, scores).average;
+                            return `<tr><th>TB ${sem.name}</th><th colspan="2">${average === null ? '—' : average}</th></tr>`;
+                        }).join('')}
+                        <tr><th>Xếp loại</th><th colspan="2">${yearResult.classification ? yearResult.classification.name : '—'}</th></tr>
+                        <tr><th>Kết quả</th><th colspan="2">${GradingManager.describeResult(yearResult)}</th></tr>
+                    </tfoot>
+                </table>
+            `;
+
+        const canEdit = AuthManager.can('students.edit', student.lop);
+        const canDelete = AuthManager.can('students.delete', student.lop);
+        const canViewHistory = AuthManager.can('history.view', student.lop);
+        const tabsHTML = `
+            <div class="tabs" role="tablist">
+                <button type="button" class="tabs__tab tabs__tab--active" role="tab" data-student-tab="info">Thông tin</button>
+                <button type="button" class="tabs__tab" role="tab" data-student-tab="years">Các năm học</button>
+                ${canViewHistory ? '<button type="button" class="tabs__tab" role="tab" data-student-tab="history">Lịch sử thay đổi</button>' : ''}
+            </div>
+        `;
+        const actionsHTML = canEdit || canDelete ? `
+            <div class="student-detail__actions">
+                ${canEdit ? `<button class="btn btn--primary" data-action="edit-student" data-student-id="${student.id}">Chỉnh sửa</button>` : ''}
+                ${canDelete ? `<button class="btn btn--outline btn--danger" data-action="delete-student" data-student-id="${student.id}">Xóa học sinh</button>` : ''}
+            </div>
+        ` : '';
+
+        return `
+            <div class="student-detail">
+                <div class="student-detail__header">
+                    <div class="student-detail__avatar ${getAvatarColor(student.id)}">
+                        ${escapeHTML(getInitials(student.tenThanh, student.hoDem, student.ten))}
+                    </div>
+                    <div class="student-detail__info">
+                        <h3>${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</h3>
+                        <div class="class">${escapeHTML(DataManager.getClassName(student.lop))}</div>
+                    </div>
+                </div>
+                ${tabsHTML}
+                <div class="student-detail__panel" data-student-panel="info">
+                    <div class="student-detail__fields">${fieldsHTML}</div>
+                    <div class="student-detail__scores">
+                        <h4>Lịch sử điểm</h4>
+                        ${scoresHTML}
+                    </div>
+                    ${actionsHTML}
+                </div>
+                <div class="student-detail__panel hidden" data-student-panel="years" data-student-id="${student.id}"></div>
+                ${canViewHistory ? `<div class="student-detail__panel hidden" data-student-panel="history" data-student-id="${student.id}"></div>` : ''}
+            </div>
+        `;
+    }
+
+    static async showStudentTab(tab) {
+        document.querySelectorAll('#student-modal [data-student-tab]').forEach(button => {
+            button.classList.toggle('tabs__tab--active', button.dataset.studentTab === tab);
+        });
+        document.querySelectorAll('#student-modal [data-student-panel]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.studentPanel !== tab);
+        });
+        if (tab === 'info') return;
+
+        const panel = document.querySelector(`#student-modal [data-student-panel="${tab}"]`);
+        panel.innerHTML = '<p class="student-detail__empty">Đang tải lịch sử...</p>';
+        try {
+            if (tab === 'years') {
+                panel.innerHTML = this.renderYearHistory(await DataManager.loadStudentHistory(panel.dataset.studentId));
+            } else {
+                panel.innerHTML = this.renderAuditEntries(await AuditLog.load({ studentId: panel.dataset.studentId }));
+            }
+        } catch (error) {
+            console.error('Load student history error:', error);
+            panel.innerHTML = `<p class="student-detail__empty">Không tải được lịch sử: ${escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    // One block per school year: the class, each score and the year's result
+    static renderYearHistory(years) {
+        if (years.length === 0) {
+            return '<p class="student-detail__empty">Chưa có dữ liệu năm học nào.</p>';
+        }
+
+        return years.map(({ schoolYear, classItem, scores }) => {
+            const scheme = GradingManager.getSchemeFor(classItem, schoolYear);
+            const result = GradingManager.getResultFor(scheme, scores);
+            const types = [...scheme.types.map(type => type.id), ...Object.keys(scores).filter(type => !scheme.types.some(t => t.id === type))]
+                .filter(type => scores[type]);
+
+            return `
+                <section class="year-history">
+                    <h4 class="year-history__title">
+                        Năm học ${schoolYear} · ${classItem ? escapeHTML(classItem.name) : 'Chưa xếp lớp'}
+                        ${schoolYear === state.schoolYear ? '<span class="year-history__current">đang xem</span>' : ''}
+                    </h4>
+                    ${types.length === 0 ? '<p class="student-detail__empty">Chưa có điểm.</p>' : `
+                        <table class="data-table">
+                            <tbody>
+                                ${types.map(type => {
+                                    const typeInfo = scheme.types.find(t => t.id === type);
+                                    return `<tr><td>${typeInfo ? typeInfo.name : type}</td><td><strong>${scores[type].score}</strong></td></tr>`;
+                                }).join('')}
+                            </tbody>
+                            <tfoot>
+                                <tr><th>TB cả năm</th><th>${result.average === null ? '—' : result.average}</th></tr>
+                                <tr><th>Xếp loại</th><th>${result.classification ? result.classification.name : '—'}</th></tr>
+                                <tr><th>Kết quả</th><th>${GradingManager.describeResult(result)}</th></tr>
+                            </tfoot>
+                        </table>
+                    `}
+                </section>
+            `;
+        }).join('');
+    }
+
+    static renderAuditEntries(entries) {
+        if (entries.length === 0) {
+            return '<p class="student-detail__empty">Chưa có thay đổi nào được ghi lại.</p>';
+        }
+
+        return `
+            <ul class="audit-list">
+                ${entries.map(entry => `
+                    <li class="audit-entry">
+                        <div class="audit-entry__header">
+                            <span class="audit-entry__action audit-entry__action--${escapeHTML(entry.action)}">${AUDIT_ACTIONS[entry.action] || escapeHTML(entry.action)}</span>
+                            <strong>${AUDIT_RESOURCES[entry.resource] || escapeHTML(entry.resource)}</strong>
+                            <span>${escapeHTML(entry.summary || entry.recordId)}</span>
+                        </div>
+                        <div class="audit-entry__meta">${escapeHTML(entry.actorName || 'Không rõ')} · ${formatDateTime(entry.timestamp)}</div>
+                        ${entry.changes && entry.changes.length ? `
+                            <table class="audit-changes">
+                                <tbody>
+                                    ${entry.changes.map(change => `
+                                        <tr>
+                                            <td class="audit-changes__field">${AUDIT_FIELD_LABELS[change.field] || escapeHTML(change.field)}</td>
+                                            <td class="audit-changes__before">${escapeHTML(AuditLog.formatValue(change.field, change.before))}</td>
+                                            <td>→</td>
+                                            <td class="audit-changes__after">${escapeHTML(AuditLog.formatValue(change.field, change.after))}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Add/Edit Student Form
+    static openStudentForm(student = null) {
+        const form = document.getElementById('add-student-form');
+        if (!form) return;
+
+        form.reset();
+        this.clearFormErrors(form);
+        state.editingItem = student;
+
+        const classSelect = document.getElementById('student-lop');
+        if (classSelect) {
+            classSelect.innerHTML = '<option value="">Chọn lớp</option>' +
+                DataManager.getAvailableClasses().map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+        }
+
+        if (student) {
+            Object.entries(STUDENT_FORM_FIELDS).forEach(([field, inputId]) => {
+                const input = document.getElementById(inputId);
+                if (input) input.value = student[field] || '';
+            });
+        }
+        SacramentManager.fillForm(student);
+
+        const title = document.getElementById('add-student-title');
+        const submitBtn = document.getElementById('submit-student');
+        if (title) title.textContent = student ? 'Chỉnh sửa học sinh' : 'Thêm học sinh mới';
+        if (submitBtn) submitBtn.textContent = student ? 'Lưu thay đổi' : 'Thêm học sinh';
+
+        this.openModal('add-student-modal');
+    }
+
+    // Inline validation errors; fieldInputs maps field names to input ids
+    static showFormErrors(form, errors, fieldInputs) {
+        this.clearFormErrors(form);
+
+        Object.entries(errors).forEach(([field, message]) => {
+            const input = document.getElementById(fieldInputs[field]);
+            if (!input) return;
+
+            input.classList.add('form-control--error');
+            input.setAttribute('aria-invalid', 'true');
+            const errorEl = document.createElement('div');
+            errorEl.className = 'form-error';
+            errorEl.textContent = message;
+            input.closest('.form-group').appendChild(errorEl);
+        });
+
+        const firstInvalid = form.querySelector('.form-control--error');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    static clearFormErrors(form, input = null) {
+        const inputs = input ? [input] : form.querySelectorAll('.form-control--error');
+        inputs.forEach(el => {
+            el.classList.remove('form-control--error');
+            el.removeAttribute('aria-invalid');
+            const errorEl = el.closest('.form-group').querySelector('.form-error');
+            if (errorEl) errorEl.remove();
+        });
+    }
+
+    static closeStudentForm() {
+        state.editingItem = null;
+        this.closeModal('add-student-modal');
+    }
+
+    static async deleteStudent(studentId) {
+        const student = state.students.find(s => s.id === studentId);
+        const name = student ? `${student.tenThanh} ${getFullName(student)}` : studentId;
+        if (!confirm(`Xóa học sinh ${name}? Học sinh và điểm sẽ được chuyển vào thùng rác.`)) return;
+
+        showLoading(true);
+        try {
+            await DataManager.deleteStudent(studentId);
+            this.closeModal('student-modal');
+            this.renderStudentsPage();
+            showToast('Đã chuyển học sinh vào thùng rác', 'success');
+        } catch (error) {
+            showToast('Lỗi xóa học sinh: ' + error.message, 'error');
+            console.error('Delete student error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Student Import Wizard
+    static openImportWizard() {
+        state.importSession = null;
+        const fileInput = document.getElementById('import-file');
+        if (fileInput) fileInput.value = '';
+        this.showImportStep('file');
+        this.openModal('import-modal');
+    }
+
+    static showImportStep(step) {
+        document.querySelectorAll('#import-modal .import-step').forEach(el => {
+            el.classList.toggle('hidden', el.getAttribute('data-step') !== step);
+        });
+    }
+
+    static async loadImportFile(file) {
+        showLoading(true);
+        try {
+            const { headers, rows } = ImportManager.splitTable(await ImportManager.readFile(file));
+            if (rows.length === 0) {
+                showToast('File không có dữ liệu học sinh', 'error');
+                return;
+            }
+
+            state.importSession = { fileName: file.name, headers, rows, mapping: ImportManager.guessMapping(headers) };
+            this.renderImportMapping();
+            this.showImportStep('mapping');
+        } catch (error) {
+            showToast('Lỗi đọc file: ' + error.message, 'error');
+            console.error('Read import file error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static renderImportMapping() {
+        const container = document.getElementById('import-mapping');
+        const session = state.importSession;
+        if (!container || !session) return;
+
+        const columnOptions = session.headers.map((header, index) =>
+            `<option value="${index}">${header ? escapeHTML(header) : `Cột ${index + 1}`}</option>`).join('');
+        const sample = session.rows[0] || [];
+
+        container.innerHTML = `
+            <p class="promotion-step__hint">${escapeHTML(session.fileName)}: ${session.rows.length} dòng. Chọn cột tương ứng cho từng thông tin.</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Thông tin</th><th>Cột trong file</th><th>Ví dụ</th></tr>
+                </thead>
+                <tbody>
+                    ${IMPORT_FIELDS.map(({ field, label }) => `
+                        <tr>
+                            <td>${label}</td>
+                            <td>
+                                <select class="form-control import-column" data-field="${field}">
+                                    <option value="-1">— Bỏ qua —</option>
+                                    ${columnOptions}
+                                </select>
+                            </td>
+                            <td class="import-sample" data-sample-for="${field}">${session.mapping[field] >= 0 ? escapeHTML(sample[session.mapping[field]]) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-group import-default-class">
+                <label class="form-label" for="import-default-class">Lớp cho các dòng không ghi lớp</label>
+                <select class="form-control" id="import-default-class">
+                    <option value="">Chọn lớp</option>
+                    ${DataManager.getAvailableClasses().map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        container.querySelectorAll('.import-column').forEach(select => {
+            select.value = String(session.mapping[select.getAttribute('data-field')]);
+        });
+    }
+
+    static updateImportMapping(select) {
+        const session = state.importSession;
+        const field = select.getAttribute('data-field');
+        session.mapping[field] = parseInt(select.value, 10);
+
+        const sampleCell = document.querySelector(`#import-mapping [data-sample-for="${field}"]`);
+        if (sampleCell) {
+            sampleCell.textContent = session.mapping[field] >= 0 ? session.rows[0][session.mapping[field]] ?? '' : '';
+        }
+    }
+
+    static reviewImport() {
+        const session = state.importSession;
+        const mapping = session.mapping;
+        if (mapping.ten < 0 && mapping.hoTen < 0) {
+            showToast('Cần chọn cột Tên hoặc Họ và tên', 'error');
+            return;
+        }
+
+        const defaultClass = document.getElementById('import-default-class').value;
+        session.preview = ImportManager.buildPreview(session.rows, mapping, defaultClass);
+
+        const counts = { valid: 0, invalid: 0, duplicate: 0 };
+        session.preview.forEach(item => counts[item.status]++);
+        const statusLabels = {
+            valid: '<span class="status status--success">Hợp lệ</span>',
+            invalid: '<span class="status status--error">Lỗi</span>',
+            duplicate: '<span class="status status--warning">Trùng</span>'
+        };
+
+        document.getElementById('import-preview').innerHTML = `
+            <p class="promotion-step__hint">
+                ${counts.valid} dòng sẽ được thêm, ${counts.duplicate} dòng trùng và ${counts.invalid} dòng lỗi sẽ bị bỏ qua.
+            </p>
+            <div class="table-container import-preview__table">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Dòng</th><th>Học sinh</th><th>Lớp</th><th>Ngày sinh</th><th>Trạng thái</th></tr>
+                    </thead>
+                    <tbody>
+                        ${session.preview.map(item => `
+                            <tr class="import-row--${item.status}">
+                                <td>${item.rowNumber}</td>
+                                <td>${escapeHTML(`${item.student.tenThanh} ${item.student.hoDem} ${item.student.ten}`)}</td>
+                                <td>${item.student.lop ? escapeHTML(DataManager.getClassName(item.student.lop)) : '—'}</td>
+                                <td>${item.student.ngaySinh ? escapeHTML(formatDate(item.student.ngaySinh)) : '—'}</td>
+                                <td>
+                                    ${statusLabels[item.status]}
+                                    ${ImportManager.describeErrors(item.errors).map(message => `<div class="form-error">${escapeHTML(message)}</div>`).join('')}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('confirm-import').disabled = counts.valid === 0;
+        this.showImportStep('preview');
+    }
+
+    static async confirmImport() {
+        const session = state.importSession;
+        if (!session || !session.preview) return;
+
+        showLoading(true);
+        try {
+            const result = await ImportManager.commit(session.preview);
+            this.renderImportResult(result);
+            this.showImportStep('result');
+            this.renderStudentsPage();
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static renderImportResult(result) {
+        const listRows = (items) => items.map(item => `
+            <li>Dòng ${item.rowNumber}: ${escapeHTML(`${item.student.hoDem} ${item.student.ten}`)}
+                ${Object.keys(item.errors).length ? `— ${escapeHTML(ImportManager.describeErrors(item.errors).join('; '))}` : ''}</li>
+        `).join('');
+
+        document.getElementById('import-result').innerHTML = `
+            <div class="import-result__summary">
+                <span class="status status--success">Đã thêm: ${result.created.length}</span>
+                <span class="status status--warning">Bỏ qua: ${result.skipped.length}</span>
+                <span class="status status--error">Lỗi: ${result.failed.length}</span>
+            </div>
+            ${result.failed.length ? `<h4>Không thêm được</h4><ul class="import-result__list">${listRows(result.failed)}</ul>` : ''}
+            ${result.skipped.length ? `<h4>Đã bỏ qua</h4><ul class="import-result__list">${listRows(result.skipped)}</ul>` : ''}
+        `;
+    }
+
+    // Exports
+    static exportStudents(format, { selected = false } = {}) {
+        const students = selected ? this.getSelectedStudents() : DataManager.getFilteredStudents();
+        if (students.length === 0) {
+            showToast('Không có học sinh nào để xuất', 'warning');
+            return;
+        }
+
+        const className = selected ? 'da chon'
+            : state.filters.studentsClass === 'all' ? 'tat ca' : DataManager.getClassName(state.filters.studentsClass);
+        try {
+            ExportManager.download(ExportManager.studentsTable(students), ExportManager.fileName('danh sach hoc sinh', className), format);
+            showToast(`Đã xuất ${students.length} học sinh`, 'success');
+        } catch (error) {
+            showToast('Lỗi xuất file: ' + error.message, 'error');
+            console.error('Export students error:', error);
+        }
+    }
+
+    static exportScores(format) {
+        const classId = state.filters.scoresClass;
+        const table = ExportManager.scoresTable(classId);
+        if (table.rows.length === 0) {
+            showToast('Lớp này chưa có học sinh để xuất', 'warning');
+            return;
+        }
+
+        try {
+            ExportManager.download(table, ExportManager.fileName('bang diem', DataManager.getClassName(classId)), format);
+            showToast(`Đã xuất bảng điểm ${DataManager.getClassName(classId)}`, 'success');
+        } catch (error) {
+            showToast('Lỗi xuất file: ' + error.message, 'error');
+            console.error('Export scores error:', error);
+        }
+    }
+
+    // Report Cards
+    static openReportCards() {
+        const classSelect = document.getElementById('report-class');
+        if (classSelect) {
+            classSelect.innerHTML = DataManager.getAvailableClasses()
+                .map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+            if (state.filters.scoresClass !== 'all') classSelect.value = state.filters.scoresClass;
+        }
+
+        const semesterSelect = document.getElementById('report-semester');
+        if (semesterSelect) {
+            semesterSelect.innerHTML = SEMESTERS.map(sem => `<option value="${sem.id}">${sem.name}</option>`).join('');
+            const current = GradingManager.getScheme(state.filters.scoresClass).types.find(type => type.id === state.filters.scoreType);
+            if (current) semesterSelect.value = current.semester;
+        }
+
+        this.renderReportCards();
+        this.openModal('report-card-modal');
+    }
+
+    static renderReportCards() {
+        const container = document.getElementById('report-card-preview');
+        if (!container) return;
+
+        const classId = document.getElementById('report-class').value;
+        const semester = SEMESTERS.find(sem => sem.id === document.getElementById('report-semester').value);
+        const students = DataManager.getClassStudents(classId);
+
+        document.getElementById('print-report-cards').disabled = students.length === 0;
+
+        if (students.length === 0) {
+            container.innerHTML = '<p class="student-detail__empty">Lớp này chưa có học sinh</p>';
+            return;
+        }
+
+        container.innerHTML = students.map(student => this.renderReportCard(student, semester)).join('');
+    }
+
+    static renderReportCard(student, semester, { print = false } = {}) {
+        const studentScores = state.scores[student.id] || {};
+        const result = GradingManager.getResult(student, semester.id);
+        const types = GradingManager.getSemesterTypes(result.scheme, semester.id);
+        const { average, classification } = result;
+        const comment = state.reportComments[`${student.id}:${semester.id}`] || '';
+
+        // On screen the comment is a textarea; the print copy gets the typed text
+        const commentHTML = print
+            ? `<div class="report-card__comment-text">${escapeHTML(comment.trim())}</div>`
+            : `<textarea class="form-control report-card__comment-input" data-student-id="${student.id}" data-semester="${semester.id}" rows="3" placeholder="Nhận xét của giáo lý viên">${escapeHTML(comment)}</textarea>`;
+
+        return `
+            <article class="report-card" data-student-id="${student.id}">
+                <header class="report-card__header">
+                    <div class="report-card__org">TNTT KIM THÀNH</div>
+                    <h2 class="report-card__title">PHIẾU ĐIỂM ${semester.name.toUpperCase()}</h2>
+                </header>
+                <dl class="report-card__info">
+                    <dt>Họ và tên</dt><dd>${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</dd>
+                    <dt>Lớp</dt><dd>${escapeHTML(DataManager.getClassName(student.lop))}</dd>
+                    <dt>Ngày sinh</dt><dd>${formatDateDMY(student.ngaySinh)}</dd>
+                </dl>
+                <table class="data-table report-card__scores">
+                    <thead>
+                        <tr><th>Bài kiểm tra</th><th>Ngày</th><th>Điểm</th></tr>
+                    </thead>
+                    <tbody>
+                        ${types.map(type => {
+                            const entry = studentScores[type.id];
+                            return `
+                                <tr>
+                                    <td>${escapeHTML(type.name)}${type.weight > 1 ? ` (hệ số ${type.weight})` : ''}</td>
+                                    <td>${entry && entry.date ? formatDateDMY(entry.date) : '—'}</td>
+                                    <td>${entry ? entry.score : '—'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr><th colspan="2">Điểm trung bình</th><th>${average === null ? '—' : average}</th></tr>
+                        <tr><th colspan="2">Xếp loại</th><th>${classification ? classification.name : '—'}</th></tr>
+                        ${semester.id === 'CN' ? `<tr><th colspan="2">Kết quả</th><th>${GradingManager.describeResult(result)}</th></tr>` : ''}
+                    </tfoot>
+                </table>
+                <div class="report-card__comment">
+                    <div class="report-card__label">Nhận xét của giáo lý viên</div>
+                    ${commentHTML}
+                </div>
+                <footer class="report-card__signatures">
+                    <div>Phụ huynh</div>
+                    <div>Giáo lý viên</div>
+                </footer>
+            </article>
+        `;
+    }
+
+    static printReportCards() {
+        const classId = document.getElementById('report-class').value;
+        const semester = SEMESTERS.find(sem => sem.id === document.getElementById('report-semester').value);
+
+        this.printHTML(DataManager.getClassStudents(classId)
+            .map(student => this.renderReportCard(student, semester, { print: true }))
+            .join(''));
+    }
+
+    // Print the given markup alone: #print-root is the only thing shown by the print stylesheet
+    static printHTML(html) {
+        const root = document.getElementById('print-root');
+        if (!root) return;
+
+        root.innerHTML = html;
+        document.body.classList.add('is-printing');
+        window.print();
+        document.body.classList.remove('is-printing');
+        root.innerHTML = '';
+    }
+
+    // Scores Page
+    static renderScoresPage() {
+        const availableClasses = DataManager.getAvailableClasses();
+
+        // The grid always shows a single class; fall back to the first one available
+        if (!availableClasses.some(cls => cls.id === state.filters.scoresClass)) {
+            state.filters.scoresClass = availableClasses.length ? availableClasses[0].id : 'all';
+        }
+
+        // Score types come from the class's grading scheme
+        const scheme = GradingManager.getScheme(state.filters.scoresClass);
+        if (!scheme.types.some(type => type.id === state.filters.scoreType)) {
+            state.filters.scoreType = scheme.types[0].id;
+        }
+        const typeSelect = document.getElementById('score-type');
+        if (typeSelect) {
+            typeSelect.innerHTML = scheme.types.map(type => `<option value="${escapeHTML(type.id)}">${escapeHTML(type.name)}</option>`).join('');
+            typeSelect.value = state.filters.scoreType;
+        }
+
+        this.renderScoresFilter(availableClasses);
+        this.renderScoresGrid();
+        Router.syncPage('scores');
+    }
+
+    static renderScoresFilter(availableClasses) {
+        const container = document.getElementById('scores-filter');
+        if (!container) return;
+
+        container.innerHTML = availableClasses.map(classData => {
+            const count = state.students.filter(s => s.lop === classData.id).length;
+            return `
+                <button class="filter-btn ${state.filters.scoresClass === classData.id ? 'filter-btn--active' : ''}" data-class="${classData.id}">
+                    ${escapeHTML(classData.name)} <span class="count">(${count})</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    static renderScoresGrid() {
+        const container = document.getElementById('scores-grid');
+        if (!container) return;
+
+        // Columns come from one class's grading scheme, so there is no grid without a class
+        if (!DataManager.getAvailableClasses().some(cls => cls.id === state.filters.scoresClass)) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <div class="no-results__content">
+                        <h3>Chưa có lớp</h3>
+                        <p>Bạn chưa được phân công lớp nào để nhập điểm</p>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        const students = DataManager.getClassStudents(state.filters.scoresClass);
+
+        if (students.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <div class="no-results__content">
+                        <h3>Không có học sinh</h3>
+                        <p>Lớp này chưa có học sinh nào để nhập điểm</p>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        const readOnly = !AuthManager.can('scores.edit', state.filters.scoresClass);
+        const scheme = GradingManager.getScheme(state.filters.scoresClass);
+        const headerHTML = scheme.types.map(type => `
+            <th class="score-table__type ${type.id === state.filters.scoreType ? 'score-table__type--active' : ''}"
+                title="${SEMESTERS.find(sem => sem.id === type.semester).name}, hệ số ${type.weight}">${escapeHTML(type.name)}</th>
+        `).join('');
+
+        const rowsHTML = students.map((student, row) => {
+            const studentScores = state.scores[student.id] || {};
+            const cellsHTML = scheme.types.map((type, col) => {
+                const entry = studentScores[type.id];
+                const value = entry ? entry.score : '';
+                return `
+                    <td class="score-cell">
+                        <input type="text" inputmode="decimal" class="form-control score-cell__input"
+                            value="${value}" data-original="${value}"
+                            data-student-id="${student.id}" data-score-type="${escapeHTML(type.id)}"
+                            data-row="${row}" data-col="${col}" autocomplete="off" ${readOnly ? 'readonly' : ''}>
+                    </td>
+                `;
+            }).join('');
+
+            return `
+                <tr>
+                    <td>
+                        <div class="score-card__student">
+                            <div class="score-card__avatar ${getAvatarColor(student.id)}">
+                                ${escapeHTML(getInitials(student.tenThanh, student.hoDem, student.ten))}
+                            </div>
+                            <div class="score-card__name">${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</div>
+                        </div>
+                    </td>
+                    ${cellsHTML}
+                    ${this.renderScoreSummary(student)}
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="data-table score-table">
+                <thead>
+                    <tr>
+                        <th>Học sinh</th>
+                        ${headerHTML}
+                        <th class="score-table__summary">TB năm</th>
+                        <th class="score-table__summary">Xếp loại</th>
+                        <th class="score-table__summary" title="Lên lớp khi TB năm từ ${scheme.passMin} trở lên">Kết quả</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        `;
+    }
+
+    // Year average, band and pass decision cells at the end of a grid row
+    static renderScoreSummary(student) {
+        const result = GradingManager.getResult(student);
+        return `
+            <td class="score-table__summary" data-summary="average" data-student-id="${student.id}">${result.average === null ? '—' : result.average}</td>
+            <td class="score-table__summary" data-summary="classification" data-student-id="${student.id}">${result.classification ? result.classification.name : '—'}</td>
+            <td class="score-table__summary ${result.passed === false ? 'score-table__summary--fail' : ''}" data-summary="result" data-student-id="${student.id}">${GradingManager.describeResult(result)}</td>
+        `;
+    }
+
+    static updateScoreSummary(studentId) {
+        const student = state.students.find(s => s.id === studentId);
+        const cells = document.querySelectorAll(`#scores-grid [data-summary][data-student-id="${studentId}"]`);
+        if (!student || cells.length === 0) return;
+
+        const row = cells[0].closest('tr');
+        cells.forEach(cell => cell.remove());
+        row.insertAdjacentHTML('beforeend', this.renderScoreSummary(student));
+    }
+
+    static focusScoreCell(row, col) {
+        const input = document.querySelector(`#scores-grid .score-cell__input[data-row="${row}"][data-col="${col}"]`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+        return !!input;
+    }
+
+    static setScoreCellState(input, cellState, message = '') {
+        const cell = input.closest('.score-cell');
+        if (!cell) return;
+
+        cell.classList.remove('score-cell--dirty', 'score-cell--saving', 'score-cell--error', 'score-cell--saved');
+        if (cellState) cell.classList.add(`score-cell--${cellState}`);
+        input.title = message;
+    }
+
+    static async saveScoreCell(input) {
+        if (input.readOnly) return;
+        const score = parseScore(input.value);
+        const original = input.getAttribute('data-original');
+
+        if (isNaN(score)) {
+            this.setScoreCellState(input, 'error', 'Điểm phải là số từ 0 đến 10');
+            return;
+        }
+
+        if (score === parseScore(original)) {
+            this.setScoreCellState(input, null);
+            return;
+        }
+
+        const studentId = input.getAttribute('data-student-id');
+        const type = input.getAttribute('data-score-type');
+
+        this.setScoreCellState(input, 'saving');
+        input.setAttribute('aria-busy', 'true');
+
+        try {
+            await DataManager.saveScore(studentId, type, score);
+            const saved = score === null ? '' : String(score);
+            input.setAttribute('data-original', saved);
+            // Don't clobber a value the user typed while the request was in flight
+            if (parseScore(input.value) === score) input.value = saved;
+            this.setScoreCellState(input, 'saved');
+            this.updateScoreSummary(studentId);
+        } catch (error) {
+            console.error('Save score error:', error);
+            this.setScoreCellState(input, 'error', error.message);
+            showToast('Lỗi lưu điểm: ' + error.message, 'error');
+        } finally {
+            input.removeAttribute('aria-busy');
+        }
+    }
+
+    // Attendance Page
+    static async renderAttendancePage() {
+        const availableClasses = DataManager.getAvailableClasses();
+
+        if (!availableClasses.some(cls => cls.id === state.filters.attendanceClass)) {
+            state.filters.attendanceClass = availableClasses.length ? availableClasses[0].id : 'all';
+        }
+        if (!state.filters.attendanceDate) {
+            state.filters.attendanceDate = getLastSunday();
+        }
+
+        const dateInput = document.getElementById('attendance-date');
+        const thresholdInput = document.getElementById('absence-threshold');
+        if (dateInput) dateInput.value = state.filters.attendanceDate;
+        if (thresholdInput) thresholdInput.value = DataManager.getAbsenceThreshold();
+
+        const filter = document.getElementById('attendance-filter');
+        if (filter) {
+            filter.innerHTML = availableClasses.map(classData => `
+                <button class="filter-btn ${state.filters.attendanceClass === classData.id ? 'filter-btn--active' : ''}" data-class="${classData.id}">
+                    ${escapeHTML(classData.name)}
+                </button>
+            `).join('');
+        }
+
+        Router.syncPage('attendance');
+        try {
+            await DataManager.loadAttendance(state.filters.attendanceClass);
+        } catch (error) {
+            this.showLoadError('attendance', error);
+            return;
+        }
+        this.renderAttendanceGrid();
+    }
+
+    static renderAttendanceGrid() {
+        const container = document.getElementById('attendance-grid');
+        if (!container) return;
+
+        const date = state.filters.attendanceDate;
+        const threshold = DataManager.getAbsenceThreshold();
+        const canEdit = AuthManager.can('attendance.edit', state.filters.attendanceClass);
+        const students = state.students
+            .filter(s => s.lop === state.filters.attendanceClass)
+            .sort((a, b) => a.ten.localeCompare(b.ten, 'vi') || a.hoDem.localeCompare(b.hoDem, 'vi'));
+
+        if (students.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <div class="no-results__content">
+                        <h3>Không có học sinh</h3>
+                        <p>Lớp này chưa có học sinh nào để điểm danh</p>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        const counts = { PRESENT: 0, ABSENT: 0, EXCUSED: 0, none: 0 };
+
+        const rowsHTML = students.map(student => {
+            const status = DataManager.getAttendanceStatus(student.id, date);
+            const totals = DataManager.getAttendanceTotals(student.id);
+            const isFlagged = totals.absent >= threshold;
+            counts[status || 'none']++;
+
+            return `
+                <tr class="${isFlagged ? 'attendance-row--flagged' : ''}">
+                    <td>
+                        <div class="score-card__student">
+                            <div class="score-card__avatar ${getAvatarColor(student.id)}">
+                                ${escapeHTML(getInitials(student.tenThanh, student.hoDem, student.ten))}
+                            </div>
+                            <div class="score-card__name">${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</div>
+                        </div>
+                    </td>
+                    <td>
+                        <div class="attendance-toggle">
+                            ${ATTENDANCE_STATUSES.map(option => `
+                                <button class="attendance-toggle__btn attendance-toggle__btn--${option.id.toLowerCase()} ${status === option.id ? 'attendance-toggle__btn--active' : ''}"
+                                    data-student-id="${student.id}" data-status="${option.id}" ${canEdit ? '' : 'disabled'}>
+                                    ${option.name}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </td>
+                    <td>${totals.absent}</td>
+                    <td>${totals.excused}</td>
+                    <td>
+                        ${isFlagged ? `<span class="status status--error">Vắng nhiều</span>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="attendance-summary">
+                <span>Có mặt: <strong>${counts.PRESENT}</strong></span>
+                <span>Vắng: <strong>${counts.ABSENT}</strong></span>
+                <span>Có phép: <strong>${counts.EXCUSED}</strong></span>
+                <span>Chưa điểm danh: <strong>${counts.none}</strong></span>
+                ${canEdit && counts.none > 0 ? '<button class="btn btn--outline btn--sm" data-action="mark-all-present">Đánh dấu còn lại có mặt</button>' : ''}
+            </div>
+            <table class="data-table attendance-table">
+                <thead>
+                    <tr>
+                        <th>Học sinh</th>
+                        <th>Điểm danh ${formatDate(date)}</th>
+                        <th>Tổng vắng</th>
+                        <th>Có phép</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        `;
+    }
+
+    static async markAttendance(studentId, status) {
+        try {
+            await DataManager.markAttendance(studentId, state.filters.attendanceClass, state.filters.attendanceDate, status);
+            this.renderAttendanceGrid();
+        } catch (error) {
+            showToast('Lỗi lưu điểm danh: ' + error.message, 'error');
+            console.error('Mark attendance error:', error);
+        }
+    }
+
+    static async markRemainingPresent() {
+        const date = state.filters.attendanceDate;
+        const unmarked = state.students.filter(s =>
+            s.lop === state.filters.attendanceClass && !DataManager.getAttendanceStatus(s.id, date));
+
+        showLoading(true);
+        try {
+            for (const student of unmarked) {
+                await DataManager.markAttendance(student.id, state.filters.attendanceClass, date, 'PRESENT');
+            }
+        } catch (error) {
+            showToast('Lỗi lưu điểm danh: ' + error.message, 'error');
+            console.error('Mark attendance error:', error);
+        } finally {
+            showLoading(false);
+            this.renderAttendanceGrid();
+        }
+    }
+
+    // Offline Sync Conflicts
+    static async renderSyncConflicts() {
+        const body = document.getElementById('sync-modal-body');
+        if (!body) return;
+
+        const mutations = await OfflineStore.getMutations().catch(() => []);
+        const conflicts = mutations.filter(m => m.conflict);
+        const pending = mutations.length - conflicts.length;
+
+        if (conflicts.length === 0) {
+            body.innerHTML = `<p class="student-detail__empty">${pending > 0
+                ? `${pending} thay đổi đang chờ đồng bộ khi có kết nối.`
+                : 'Tất cả thay đổi đã được đồng bộ.'}</p>`;
+            return;
+        }
+
+        const actionNames = { create: 'Thêm', update: 'Sửa', delete: 'Xóa' };
+
+        body.innerHTML = conflicts.map(mutation => {
+            const handler = SyncManager.resources[mutation.resource];
+            const server = mutation.conflict.server;
+            const local = mutation.data || {};
+            const remote = server || {};
+            const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+                .filter(key => !['id', 'password', 'updatedAt'].includes(key) && typeof (local[key] ?? remote[key]) !== 'object');
+
+            const reason = mutation.conflict.message
+                || (server ? 'Bản ghi đã bị thay đổi trên máy chủ' : 'Bản ghi đã bị xóa trên máy chủ');
+
+            return `
+                <div class="sync-conflict">
+                    <h4>${actionNames[mutation.action]} ${handler.label.toLowerCase()}: ${escapeHTML(handler.describe(mutation.base || local, mutation) || mutation.id)}</h4>
+                    <p class="sync-conflict__reason">${escapeHTML(reason)} · ${new Date(mutation.queuedAt).toLocaleString('vi-VN')}</p>
+                    ${server && mutation.action !== 'delete' ? `
+                        <table class="data-table">
+                            <thead>
+                                <tr><th>Trường</th><th>Của bạn</th><th>Trên máy chủ</th></tr>
+                            </thead>
+                            <tbody>
+                                ${fields.map(key => `
+                                    <tr class="${String(local[key] ?? '') !== String(server[key] ?? '') ? 'sync-conflict__diff' : ''}">
+                                        <td>${escapeHTML(key)}</td>
+                                        <td>${escapeHTML(local[key] ?? '—')}</td>
+                                        <td>${escapeHTML(server[key] ?? '—')}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                    <div class="sync-conflict__actions">
+                        <button class="btn btn--outline btn--sm" data-action="resolve-conflict" data-seq="${mutation.seq}" data-keep="server">Giữ bản trên máy chủ</button>
+                        <button class="btn btn--primary btn--sm" data-action="resolve-conflict" data-seq="${mutation.seq}" data-keep="local">Dùng thay đổi của tôi</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Dashboard
+    static renderDashboard() {
+        const stats = DataManager.getDashboardStats();
+        const elements = {
+            'total-students': stats.totalStudents,
+            'total-classes': stats.totalClasses,
+            'excellent-students': stats.excellentCount
+        };
+
+        Object.entries(elements).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        });
+
+        this.renderTopStudents(stats.topStudents);
+        this.renderUpcomingEvents();
+
+        // Charts need the page to be visible to size their canvases
+        setTimeout(() => {
+            this.renderDashboardCharts(stats);
+        }, 100);
+    }
+
+    static renderTopStudents(topStudents) {
+        const container = document.getElementById('top-students-table');
+        if (!container) return;
+
+        if (topStudents.length === 0) {
+            container.innerHTML = '<p class="student-detail__empty">Chưa có điểm để xếp hạng</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>#</th><th>Học sinh</th><th>Lớp</th><th>Điểm TB</th><th>Xếp loại</th></tr>
+                </thead>
+                <tbody>
+                    ${topStudents.map(({ student, average, classification }, index) => `
+                        <tr class="top-students__row" data-student-id="${student.id}">
+                            <td>${index + 1}</td>
+                            <td>${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</td>
+                            <td>${escapeHTML(DataManager.getClassName(student.lop))}</td>
+                            <td>${average}</td>
+                            <td>${escapeHTML(classification.name)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    static renderUpcomingEvents() {
+        const container = document.getElementById('upcoming-events');
+        if (!container) return;
+
+        const events = CalendarManager.getUpcoming(DataManager.getVisibleStudents());
+        if (events.length === 0) {
+            container.innerHTML = '<p class="student-detail__empty">Không có bổn mạng hay sinh nhật nào trong 30 ngày tới</p>';
+            return;
+        }
+
+        const today = getToday();
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Ngày</th><th>Dịp</th><th>Học sinh</th><th>Lớp</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${events.map(event => `
+                        <tr class="top-students__row ${event.date === today ? 'upcoming-events__today' : ''}" data-student-id="${event.student.id}">
+                            <td>${event.date === today ? 'Hôm nay' : formatDate(event.date)}</td>
+                            <td><span class="calendar-event calendar-event--${event.type}">${event.type === 'feast' ? 'Bổn mạng' : 'Sinh nhật'}</span></td>
+                            <td>${escapeHTML(`${event.student.tenThanh} ${getFullName(event.student)}`)}</td>
+                            <td>${escapeHTML(DataManager.getClassName(event.student.lop))}</td>
+                            <td>${escapeHTML(event.detail)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Calendar page: a Monday-first month grid of feasts and birthdays for one class or all
+    static renderCalendarPage() {
+        const filters = state.filters;
+        const availableClasses = DataManager.getAvailableClasses();
+        if (filters.calendarClass !== 'all' && !availableClasses.some(cls => cls.id === filters.calendarClass)) {
+            filters.calendarClass = 'all';
+        }
+        if (!/^\d{4}-\d{2}$/.test(filters.calendarMonth || '')) filters.calendarMonth = getToday().slice(0, 7);
+
+        const classSelect = document.getElementById('calendar-class');
+        classSelect.innerHTML = '<option value="all">Tất cả lớp</option>' +
+            availableClasses.map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+        classSelect.value = filters.calendarClass;
+
+        const [year, month] = filters.calendarMonth.split('-').map(Number);
+        document.getElementById('calendar-month-label').textContent = `Tháng ${month}/${year}`;
+
+        const students = this.getCalendarStudents();
+        const events = CalendarManager.getMonthEvents(students, filters.calendarMonth);
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const leadingBlanks = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+        const today = getToday();
+
+        const cells = [];
+        for (let i = 0; i < leadingBlanks; i++) cells.push('<div class="calendar__day calendar__day--blank"></div>');
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = `${filters.calendarMonth}-${String(day).padStart(2, '0')}`;
+            const dayEvents = events.filter(event => event.date === date);
+            cells.push(`
+                <div class="calendar__day ${date === today ? 'calendar__day--today' : ''}">
+                    <div class="calendar__date">${day}</div>
+                    ${dayEvents.map(event => `
+                        <button type="button" class="calendar-event calendar-event--${event.type}" data-student-id="${event.student.id}"
+                            title="${escapeHTML(event.type === 'feast' ? event.detail : 'Sinh nhật ' + event.detail)}">
+                            ${event.type === 'feast' ? 'Bổn mạng' : 'Sinh nhật'} · ${escapeHTML(`${event.student.tenThanh} ${event.student.ten}`)}
+                        </button>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        document.getElementById('calendar-grid').innerHTML = `
+            ${['T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'CN'].map(name => `<div class="calendar__weekday">${name}</div>`).join('')}
+            ${cells.join('')}
+        `;
+
+        const unknown = CalendarManager.getUnknownSaints(students);
+        const note = document.getElementById('calendar-unknown');
+        note.classList.toggle('hidden', unknown.length === 0);
+        note.textContent = unknown.length
+            ? `Chưa rõ ngày bổn mạng của: ${escapeHTML([...new Set(unknown.map(student => student.tenThanh))].join(', '))}`
+            : '';
+    }
+
+    static getCalendarStudents() {
+        const classId = state.filters.calendarClass;
+        return DataManager.getVisibleStudents().filter(student => classId === 'all' || student.lop === classId);
+    }
+
+    static changeCalendarMonth(offset) {
+        const [year, month] = state.filters.calendarMonth.split('-').map(Number);
+        state.filters.calendarMonth = toISODate(new Date(year, month - 1 + offset, 1)).slice(0, 7);
+        Router.syncPage('calendar');
+        this.renderCalendarPage();
+    }
+
+    static exportCalendar() {
+        const classId = state.filters.calendarClass;
+        const className = classId === 'all' ? 'tất cả' : DataManager.getClassName(classId);
+        try {
+            const ics = CalendarManager.toICS(this.getCalendarStudents(), `Bổn mạng & sinh nhật - ${className}`);
+            ExportManager.saveFile(ics, `${ExportManager.fileName('lich bon mang', className)}.ics`, 'text/calendar;charset=utf-8');
+            showToast('Đã xuất lịch', 'success');
+        } catch (error) {
+            showToast('Lỗi xuất file: ' + error.message, 'error');
+            console.error('Export calendar error:', error);
+        }
+    }
+
+    // Draw a chart on the canvas, replacing whatever chart was there before
+    static drawChart(canvasId, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        const existingChart = Chart.getChart(canvas);
+        if (existingChart) existingChart.destroy();
+
+        new Chart(canvas, {
+            ...config,
+            options: { responsive: true, maintainAspectRatio: false, ...config.options }
+        });
+    }
+
+    static renderDashboardCharts(stats) {
+        const classCounts = stats.classes.map(c => c.studentCount);
+        this.drawChart('class-distribution-chart', {
+            type: 'bar',
+            data: {
+                labels: stats.classes.map(c => c.name),
+                datasets: [{ label: 'Số học sinh', data: classCounts, backgroundColor: getChartColors(classCounts.length) }]
+            },
+            options: { plugins: { legend: { display: false } } }
+        });
+
+        const districts = Object.entries(stats.districts);
+        this.drawChart('district-distribution-chart', {
+            type: 'doughnut',
+            data: {
+                labels: districts.map(([name]) => name),
+                datasets: [{ data: districts.map(([, count]) => count), backgroundColor: getChartColors(districts.length) }]
+            }
+        });
+
+        const averages = stats.classes.filter(c => c.average !== null);
+        this.drawChart('class-average-chart', {
+            type: 'bar',
+            data: {
+                labels: averages.map(c => c.name),
+                datasets: [{ label: 'Điểm trung bình', data: averages.map(c => c.average), backgroundColor: getChartColors(averages.length) }]
+            },
+            options: {
+                plugins: { legend: { display: false } },
+                scales: { y: { min: 0, max: 10 } }
+            }
+        });
+
+        this.drawChart('classification-chart', {
+            type: 'doughnut',
+            data: {
+                labels: stats.bands.map(band => band.name),
+                datasets: [{ data: stats.bands.map(band => band.count), backgroundColor: getChartColors(stats.bands.length) }]
+            }
+        });
+    }
+
+    // Users Page (simplified)
+    static renderUsersPage() {
+        if (!AuthManager.can('users.manage')) {
+            const container = document.getElementById('users-grid');
+            if (container) {
+                container.innerHTML = '<p>Bạn không có quyền truy cập trang này.</p>';
+            }
+            return;
+        }
+
+        const container = document.getElementById('users-grid');
+        if (!container) return;
+
+        const currentUser = AuthManager.getCurrentUser();
+
+        const usersHTML = state.users.map(user => {
+            const isActive = user.active !== false;
+            const isSelf = currentUser && currentUser.id === user.id;
+            const classes = (user.assignedClasses || []).includes('ALL')
+                ? 'Tất cả lớp'
+                : (user.assignedClasses || []).map(id => DataManager.getClassName(id)).join(', ');
+
+            return `
+                <div class="user-card ${isActive ? '' : 'user-card--inactive'}">
+                    <div class="user-card__header">
+                        <div class="user-card__avatar">
+                            ${escapeHTML(user.avatar || user.fullName.charAt(0))}
+                        </div>
+                        <div class="user-card__info">
+                            <div class="user-card__name">${escapeHTML(user.fullName)}${isSelf ? ' (bạn)' : ''}</div>
+                            <div class="user-card__email">${escapeHTML(user.email)}</div>
+                        </div>
+                    </div>
+                    <div class="user-card__role">
+                        <span class="status ${user.role === 'ADMIN' ? 'status--error' : 'status--success'}">
+                            ${user.role}
+                        </span>
+                        ${isActive ? '' : '<span class="status status--warning">Đã khóa</span>'}
+                    </div>
+                    <div class="user-card__classes">${escapeHTML(classes || 'Chưa phân lớp')}</div>
+                    <div class="user-card__actions">
+                        <button class="btn btn--outline btn--sm" data-action="edit-user" data-user-id="${user.id}">Sửa</button>
+                        ${isSelf ? '' : `
+                            <button class="btn btn--outline btn--sm" data-action="toggle-user" data-user-id="${user.id}">
+                                ${isActive ? 'Khóa' : 'Mở khóa'}
+                            </button>
+                            <button class="btn btn--outline btn--sm btn--danger" data-action="delete-user" data-user-id="${user.id}">Xóa</button>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = usersHTML;
+    }
+
+    static openUserForm(user = null) {
+        const form = document.getElementById('add-user-form');
+        if (!form) return;
+
+        form.reset();
+        this.clearFormErrors(form);
+        state.editingItem = user;
+
+        if (user) {
+            document.getElementById('user-email').value = user.email;
+            document.getElementById('user-fullname').value = user.fullName;
+            document.getElementById('user-role-select').value = user.role;
+        }
+        document.getElementById('user-active').checked = !user || user.active !== false;
+
+        const passwordInput = document.getElementById('user-password');
+        passwordInput.placeholder = user ? 'Để trống nếu không đổi mật khẩu' : '';
+
+        this.renderAssignedClassesPicker(user ? user.assignedClasses || [] : []);
+
+        const title = document.getElementById('add-user-title');
+        const submitBtn = document.getElementById('submit-user');
+        if (title) title.textContent = user ? 'Chỉnh sửa user' : 'Thêm user mới';
+        if (submitBtn) submitBtn.textContent = user ? 'Lưu thay đổi' : 'Thêm user';
+
+        this.openModal('add-user-modal');
+    }
+
+    static closeUserForm() {
+        state.editingItem = null;
+        this.closeModal('add-user-modal');
+    }
+
+    static renderAssignedClassesPicker(selected) {
+        const container = document.getElementById('user-assigned-classes');
+        if (!container) return;
+
+        const allSelected = selected.includes('ALL');
+        container.innerHTML = `
+            <label class="checkbox-label class-picker__all">
+                <input type="checkbox" value="ALL" ${allSelected ? 'checked' : ''}>
+                Tất cả lớp
+            </label>
+            ${state.classes.map(cls => `
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${escapeHTML(cls.id)}" ${allSelected || selected.includes(cls.id) ? 'checked' : ''} ${allSelected ? 'disabled' : ''}>
+                    ${escapeHTML(cls.name)}
+                </label>
+            `).join('')}
+        `;
+    }
+
+    static getSelectedAssignedClasses() {
+        const container = document.getElementById('user-assigned-classes');
+        const all = container.querySelector('input[value="ALL"]');
+        if (all && all.checked) return ['ALL'];
+
+        return [...container.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    static async toggleUserActive(userId) {
+        const user = state.users.find(u => u.id === userId);
+        if (!user) return;
+
+        const active = user.active === false;
+        const { password, id, ...data } = user;
+        const errors = DataManager.validateUser({ ...data, active }, userId);
+        const error = errors.active || errors.role;
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            await DataManager.saveUser({ ...data, active }, userId);
+            this.renderUsersPage();
+            showToast(active ? 'Đã mở khóa tài khoản' : 'Đã khóa tài khoản', 'success');
+        } catch (error) {
+            showToast('Lỗi cập nhật tài khoản: ' + error.message, 'error');
+            console.error('Toggle user error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static async deleteUser(userId) {
+        const user = state.users.find(u => u.id === userId);
+        if (!user) return;
+
+        if (userId === AuthManager.getCurrentUser().id) {
+            showToast('Không thể xóa tài khoản của chính bạn', 'error');
+            return;
+        }
+        if (DataManager.isLastActiveAdmin(userId)) {
+            showToast('Không thể xóa Admin cuối cùng', 'error');
+            return;
+        }
+        if (!confirm(`Xóa tài khoản ${user.fullName} (${user.email})?`)) return;
+
+        showLoading(true);
+        try {
+            await DataManager.deleteUser(userId);
+            this.renderUsersPage();
+            showToast('Đã chuyển tài khoản vào thùng rác', 'success');
+        } catch (error) {
+            showToast('Lỗi xóa tài khoản: ' + error.message, 'error');
+            console.error('Delete user error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Sacraments page: who is ready for the chosen sacrament, and who has received it
+    static renderSacramentsPage() {
+        const filters = state.filters;
+        const availableClasses = DataManager.getAvailableClasses();
+        if (filters.sacramentClass !== 'all' && !availableClasses.some(cls => cls.id === filters.sacramentClass)) {
+            filters.sacramentClass = 'all';
+        }
+        if (!filters.sacramentDate) filters.sacramentDate = getToday();
+
+        const typeSelect = document.getElementById('sacrament-type');
+        const classSelect = document.getElementById('sacrament-class');
+        typeSelect.innerHTML = SACRAMENTS.filter(sacrament => sacrament.requires)
+            .map(sacrament => `<option value="${sacrament.id}">${sacrament.name}</option>`).join('');
+        classSelect.innerHTML = '<option value="all">Tất cả lớp</option>' +
+            availableClasses.map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+        typeSelect.value = filters.sacramentType;
+        classSelect.value = filters.sacramentClass;
+        document.getElementById('sacrament-date').value = filters.sacramentDate;
+
+        const sacrament = SACRAMENTS.find(s => s.id === filters.sacramentType);
+        const eligible = SacramentManager.getEligible(sacrament.id, filters.sacramentClass, filters.sacramentDate);
+        const recipients = SacramentManager.getRecipients(sacrament.id, filters.sacramentClass);
+        const canPrint = AuthManager.can('reports.print');
+        const empty = text => `<p class="student-detail__empty">${text}</p>`;
+        const nameCell = student => `<td><strong>${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</strong></td>`;
+
+        document.getElementById('sacrament-eligible-title').textContent = `Đủ điều kiện lãnh nhận (${eligible.length})`;
+        document.getElementById('sacrament-eligible').innerHTML = eligible.length === 0
+            ? empty('Không có học sinh nào đủ điều kiện.')
+            : `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Học sinh</th><th>Lớp</th><th>Tuổi</th><th>${SacramentManager.getName(sacrament.requires)}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${eligible.map(student => `
+                            <tr>
+                                ${nameCell(student)}
+                                <td>${escapeHTML(DataManager.getClassName(student.lop))}</td>
+                                <td>${getAge(student.ngaySinh, filters.sacramentDate)}</td>
+                                <td>${formatDate(SacramentManager.get(student, sacrament.requires).date)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        document.getElementById('sacrament-recipients-title').textContent = `Đã lãnh nhận (${recipients.length})`;
+        document.getElementById('sacrament-recipients').innerHTML = recipients.length === 0
+            ? empty('Chưa có học sinh nào lãnh nhận bí tích này.')
+            : `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Học sinh</th><th>Lớp</th><th>Ngày</th><th>Giáo xứ</th><th>Chủ sự</th>${canPrint ? '<th></th>' : ''}</tr>
+                    </thead>
+                    <tbody>
+                        ${recipients.map(student => {
+                            const record = SacramentManager.get(student, sacrament.id);
+                            return `
+                                <tr>
+                                    ${nameCell(student)}
+                                    <td>${escapeHTML(DataManager.getClassName(student.lop))}</td>
+                                    <td>${formatDate(record.date)}</td>
+                                    <td>${record.parish ? escapeHTML(record.parish) : '—'}</td>
+                                    <td>${record.minister ? escapeHTML(record.minister) : '—'}</td>
+                                    ${canPrint ? `<td><button class="btn btn--outline btn--sm" data-action="print-certificate" data-student-id="${student.id}">In chứng nhận</button></td>` : ''}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        const printAll = document.getElementById('print-certificates-btn');
+        if (printAll) printAll.disabled = recipients.length === 0;
+    }
+
+    static renderCertificate(student, sacramentId) {
+        const record = SacramentManager.get(student, sacramentId);
+
+        return `
+            <article class="certificate">
+                <div class="report-card__org">TNTT KIM THÀNH</div>
+                <h2 class="certificate__title">GIẤY CHỨNG NHẬN</h2>
+                <div class="certificate__sacrament">Bí tích ${SacramentManager.getName(sacramentId)}</div>
+                <p>Chứng nhận em</p>
+                <div class="certificate__name">${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}</div>
+                <dl class="report-card__info certificate__info">
+                    <dt>Sinh ngày</dt><dd>${formatDateDMY(student.ngaySinh) || '—'}</dd>
+                    <dt>Phụ huynh</dt><dd>${student.phuHuynh ? escapeHTML(student.phuHuynh) : '—'}</dd>
+                    <dt>Lớp</dt><dd>${escapeHTML(DataManager.getClassName(student.lop))}</dd>
+                    <dt>Ngày lãnh nhận</dt><dd>${formatDateDMY(record.date)}</dd>
+                    <dt>Tại giáo xứ</dt><dd>${record.parish ? escapeHTML(record.parish) : '—'}</dd>
+                    <dt>Chủ sự</dt><dd>${record.minister ? escapeHTML(record.minister) : '—'}</dd>
+                </dl>
+                <footer class="report-card__signatures">
+                    <div>Huynh trưởng</div>
+                    <div>Cha xứ</div>
+                </footer>
+            </article>
+        `;
+    }
+
+    // Certificates for the given students (default: everyone listed as having received it)
+    static printCertificates(studentIds = null) {
+        const sacramentId = state.filters.sacramentType;
+        const students = studentIds
+            ? state.students.filter(student => studentIds.includes(student.id))
+            : SacramentManager.getRecipients(sacramentId, state.filters.sacramentClass);
+
+        if (students.length === 0) {
+            showToast('Chưa có học sinh nào lãnh nhận bí tích này', 'warning');
+            return;
+        }
+        this.printHTML(students.map(student => this.renderCertificate(student, sacramentId)).join(''));
+    }
+
+    // Audit log page (admins): every recorded change, filterable
+    static async renderAuditPage() {
+        const container = document.getElementById('audit-log');
+        if (!container) return;
+
+        const filters = state.filters;
+        const options = {
+            'audit-resource': [['all', 'Tất cả dữ liệu'], ...Object.entries(AUDIT_RESOURCES)],
+            'audit-action': [['all', 'Tất cả thao tác'], ...Object.entries(AUDIT_ACTIONS)],
+            'audit-actor': [['all', 'Tất cả người dùng'], ...state.users.map(user => [user.id, user.fullName])]
+        };
+        const values = {
+            'audit-resource': filters.auditResource,
+            'audit-action': filters.auditAction,
+            'audit-actor': filters.auditActor,
+            'audit-from': filters.auditFrom,
+            'audit-to': filters.auditTo
+        };
+
+        Object.entries(options).forEach(([id, choices]) => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = choices.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        });
+        Object.entries(values).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        });
+
+        const entries = await AuditLog.load({
+            resource: filters.auditResource,
+            action: filters.auditAction,
+            actorId: filters.auditActor,
+            from: filters.auditFrom,
+            to: filters.auditTo
+        });
+        container.innerHTML = this.renderAuditEntries(entries);
+    }
+
+    // Recycle Bin Page
+    static async renderTrashPage() {
+        const container = document.getElementById('trash-list');
+        if (!container) return;
+
+        const select = document.getElementById('trash-resource');
+        if (select) {
+            select.innerHTML = [['all', 'Tất cả dữ liệu'], ...TRASH_RESOURCES.map(resource => [resource, AUDIT_RESOURCES[resource]])]
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            select.value = state.filters.trashResource;
+        }
+
+        // Kept for the restore and purge buttons, which only carry the entry id
+        this.trashEntries = await TrashManager.load(state.filters.trashResource);
+
+        if (this.trashEntries.length === 0) {
+            container.innerHTML = '<p class="student-detail__empty">Thùng rác trống.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Loại</th><th>Bản ghi</th><th>Người xóa</th><th>Thời gian xóa</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.trashEntries.map(entry => `
+                        <tr>
+                            <td>${AUDIT_RESOURCES[entry.resource] || escapeHTML(entry.resource)}</td>
+                            <td>
+                                <div>${escapeHTML(AuditLog.describe(entry.resource, entry.record) || entry.recordId)}</div>
+                                <div class="trash-entry__detail">${escapeHTML(TrashManager.describe(entry))}</div>
+                            </td>
+                            <td>${escapeHTML(entry.deletedByName || 'Không rõ')}</td>
+                            <td>${formatDateTime(entry.deletedAt)}</td>
+                            <td class="trash-entry__actions">
+                                <button class="btn btn--outline btn--sm" data-action="restore-trash" data-trash-id="${entry.id}">Khôi phục</button>
+                                <button class="btn btn--outline btn--sm btn--danger" data-action="purge-trash" data-trash-id="${entry.id}">Xóa vĩnh viễn</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    static async restoreTrashEntry(entryId) {
+        const entry = (this.trashEntries || []).find(item => item.id === entryId);
+        if (!entry) return;
+
+        showLoading(true);
+        try {
+            await TrashManager.restore(entry);
+            await this.renderTrashPage();
+            showToast(`Đã khôi phục ${AuditLog.describe(entry.resource, entry.record) || entry.recordId}`, 'success');
+        } catch (error) {
+            showToast('Lỗi khôi phục: ' + error.message, 'error');
+            console.error('Restore trash entry error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static async purgeTrashEntry(entryId) {
+        const entry = (this.trashEntries || []).find(item => item.id === entryId);
+        if (!entry) return;
+
+        const name = AuditLog.describe(entry.resource, entry.record) || entry.recordId;
+        const warning = entry.resource === 'students' ? ' Toàn bộ điểm của học sinh này cũng sẽ bị xóa.' : '';
+        if (!confirm(`Xóa vĩnh viễn ${name}? Không thể khôi phục lại.${warning}`)) return;
+
+        showLoading(true);
+        try {
+            await TrashManager.purge(entry);
+            await this.renderTrashPage();
+            showToast('Đã xóa vĩnh viễn ' + name, 'success');
+        } catch (error) {
+            showToast('Lỗi xóa vĩnh viễn: ' + error.message, 'error');
+            console.error('Purge trash entry error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Classes Page (simplified)
+    static renderClassesPage() {
+        if (!AuthManager.can('classes.manage')) {
+            const container = document.getElementById('classes-grid');
+            if (container) {
+                container.innerHTML = '<p>Bạn không có quyền truy cập trang này.</p>';
+            }
+            return;
+        }
+
+        const container = document.getElementById('classes-grid');
+        if (!container) return;
+
+        const classesHTML = state.classes.map(classItem => {
+            const studentCount = state.students.filter(s => s.lop === classItem.id).length;
+
+            return `
+                <div class="class-card">
+                    <div class="class-card__header">
+                        <div class="class-card__icon">
+                            ${classItem.name.charAt(0)}
+                        </div>
+                        <div class="class-card__info">
+                            <div class="class-card__name">${escapeHTML(classItem.name)}</div>
+                            <div class="class-card__description">${escapeHTML(classItem.id)}${classItem.description ? ' · ' + escapeHTML(classItem.description) : ''}</div>
                         </div>
                     </div>
                     <div class="class-card__stats">
                         <strong>Số học sinh:</strong> ${studentCount}
+                        · <strong>Thang điểm:</strong> ${escapeHTML(GradingManager.getScheme(classItem.id).name)}
+                    </div>
+                    <div class="class-card__actions">
+                        ${AuthManager.can('classes.edit') ? `
+                            <button class="btn btn--outline btn--sm" data-action="edit-class" data-class-id="${classItem.id}">Sửa</button>
+                            <button class="btn btn--outline btn--sm" data-action="move-class-students" data-class-id="${classItem.id}" ${studentCount ? '' : 'disabled'}>Chuyển HS</button>
+                        ` : ''}
+                        ${AuthManager.can('classes.delete') ? `<button class="btn btn--outline btn--sm btn--danger" data-action="delete-class" data-class-id="${classItem.id}">Xóa</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = classesHTML;
+    }
+
+    static openClassForm(classItem = null) {
+        const form = document.getElementById('add-class-form');
+        if (!form) return;
+
+        form.reset();
+        this.clearFormErrors(form);
+        state.editingItem = classItem;
+
+        const schemeSelect = document.getElementById('class-grading-scheme');
+        const yearScheme = GradingManager.getYearScheme() || DEFAULT_GRADING_SCHEME;
+        schemeSelect.innerHTML = `<option value="">Theo năm học (${escapeHTML(yearScheme.name)})</option>` +
+            state.gradingSchemes.map(scheme => `<option value="${scheme.id}">${escapeHTML(scheme.name)}</option>`).join('');
+
+        const idInput = document.getElementById('class-id');
+        idInput.disabled = !!classItem;
+        if (classItem) {
+            idInput.value = classItem.id;
+            document.getElementById('class-name').value = classItem.name;
+            document.getElementById('class-description').value = classItem.description || '';
+            document.getElementById('class-sacrament').value = classItem.sacrament || '';
+            schemeSelect.value = classItem.gradingScheme || '';
+        }
+
+        const title = document.getElementById('add-class-title');
+        const submitBtn = document.getElementById('submit-class');
+        if (title) title.textContent = classItem ? 'Chỉnh sửa lớp' : 'Thêm lớp mới';
+        if (submitBtn) submitBtn.textContent = classItem ? 'Lưu thay đổi' : 'Thêm lớp';
+
+        this.openModal('add-class-modal');
+    }
+
+    static closeClassForm() {
+        state.editingItem = null;
+        this.closeModal('add-class-modal');
+    }
+
+    static async deleteClass(classId) {
+        const studentCount = state.students.filter(s => s.lop === classId).length;
+        if (studentCount > 0) {
+            // Students must be reassigned before their class can go away
+            showToast(`Lớp còn ${studentCount} học sinh. Hãy chuyển học sinh sang lớp khác trước khi xóa.`, 'warning');
+            this.openMoveStudents(classId);
+            return;
+        }
+
+        if (!confirm(`Xóa lớp ${DataManager.getClassName(classId)}?`)) return;
+
+        showLoading(true);
+        try {
+            await DataManager.deleteClass(classId);
+            this.renderClassesPage();
+            showToast('Đã chuyển lớp vào thùng rác', 'success');
+        } catch (error) {
+            showToast('Lỗi xóa lớp: ' + error.message, 'error');
+            console.error('Delete class error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Move Students Tool
+    static openMoveStudents(fromClassId = null) {
+        const fromSelect = document.getElementById('move-from-class');
+        const toSelect = document.getElementById('move-to-class');
+        if (!fromSelect || !toSelect) return;
+
+        const options = state.classes.map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = '<option value="">Chọn lớp</option>' + options;
+        fromSelect.value = fromClassId || (state.classes[0] ? state.classes[0].id : '');
+
+        this.renderMoveStudentsList();
+        this.openModal('move-students-modal');
+    }
+
+    static renderMoveStudentsList() {
+        const container = document.getElementById('move-students-list');
+        const fromClassId = document.getElementById('move-from-class').value;
+        if (!container) return;
+
+        const students = state.students.filter(s => s.lop === fromClassId);
+        if (students.length === 0) {
+            container.innerHTML = '<p class="student-detail__empty">Lớp này không có học sinh.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <label class="checkbox-label student-picker__all">
+                <input type="checkbox" data-select-all checked>
+                Chọn tất cả (${students.length})
+            </label>
+            ${students.map(student => `
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${student.id}" checked>
+                    ${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)}
+                </label>
+            `).join('')}
+        `;
+    }
+
+    static async submitMoveStudents() {
+        const fromClassId = document.getElementById('move-from-class').value;
+        const toClassId = document.getElementById('move-to-class').value;
+        const studentIds = [...document.querySelectorAll('#move-students-list input[value]:checked')]
+            .map(input => input.value);
+
+        if (!toClassId || toClassId === fromClassId) {
+            showToast('Vui lòng chọn lớp đích khác lớp hiện tại', 'error');
+            return;
+        }
+        if (studentIds.length === 0) {
+            showToast('Vui lòng chọn ít nhất một học sinh', 'error');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            const result = await DataManager.moveStudents(studentIds.map(studentId => ({ studentId, from: fromClassId, to: toClassId })));
+            this.closeModal('move-students-modal');
+            this.renderClassesPage();
+            this.showMoveResult(result);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    static showMoveResult(result) {
+        if (result.failed.length === 0) {
+            showToast(`Đã chuyển ${result.moved.length} học sinh`, 'success');
+        } else {
+            showToast(`Đã chuyển ${result.moved.length} học sinh, lỗi ${result.failed.length} học sinh`, 'warning');
+        }
+    }
+
+    // Grading Schemes Page: the built-in default first, then the parish's own schemes
+    static renderGradingPage() {
+        const container = document.getElementById('grading-grid');
+        if (!container) return;
+
+        const yearScheme = GradingManager.getYearScheme();
+        const schemes = [DEFAULT_GRADING_SCHEME, ...state.gradingSchemes];
+
+        container.innerHTML = schemes.map(scheme => {
+            const isDefault = scheme === DEFAULT_GRADING_SCHEME;
+            const usedBy = GradingManager.getClassesUsing(scheme.id);
+            let appliesTo = usedBy.map(cls => cls.name).join(', ');
+            if (scheme.schoolYear) appliesTo = `Năm học ${scheme.schoolYear}${appliesTo ? ' · ' + appliesTo : ''}`;
+            if (isDefault && !yearScheme) appliesTo = 'Các lớp chưa chọn thang điểm';
+
+            return `
+                <div class="class-card">
+                    <div class="class-card__header">
+                        <div class="class-card__icon">${escapeHTML(scheme.name.charAt(0))}</div>
+                        <div class="class-card__info">
+                            <div class="class-card__name">${escapeHTML(scheme.name)}</div>
+                            <div class="class-card__description">${appliesTo || 'Chưa lớp nào dùng'}</div>
+                        </div>
+                    </div>
+                    <div class="class-card__stats">
+                        <div><strong>Loại điểm:</strong> ${escapeHTML(GradingManager.describeTypes(scheme.types))}</div>
+                        <div><strong>Xếp loại:</strong> ${escapeHTML(GradingManager.describeBands(scheme.classifications))}</div>
+                        <div><strong>Lên lớp:</strong> TB năm từ ${scheme.passMin}</div>
+                    </div>
+                    <div class="class-card__actions">
+                        ${isDefault ? '' : `<button class="btn btn--outline btn--sm" data-action="edit-grading" data-scheme-id="${scheme.id}">Sửa</button>`}
+                        <button class="btn btn--outline btn--sm" data-action="copy-grading" data-scheme-id="${scheme.id}">Sao chép</button>
+                        ${isDefault ? '' : `<button class="btn btn--outline btn--sm btn--danger" data-action="delete-grading" data-scheme-id="${scheme.id}" ${usedBy.length ? 'disabled title="Thang điểm đang được lớp sử dụng"' : ''}>Xóa</button>`}
                     </div>
                 </div>
             `;
         }).join('');
+    }
+
+    // New schemes start from the default; copy starts a new scheme from an existing one
+    static openGradingForm(scheme = null, { copy = false } = {}) {
+        const form = document.getElementById('grading-form');
+        if (!form) return;
+
+        const source = scheme || DEFAULT_GRADING_SCHEME;
+        const editing = copy ? null : scheme;
+        this.clearFormErrors(form);
+        state.editingItem = editing;
+
+        const currentYear = getSchoolYear();
+        const nextYear = getSchoolYear(`${Number(currentYear.slice(0, 4)) + 1}-09-01`);
+        const schoolYear = editing ? editing.schoolYear || '' : '';
+        const years = [...new Set([currentYear, nextYear, schoolYear].filter(Boolean))].sort();
+        const yearSelect = document.getElementById('grading-school-year');
+        yearSelect.innerHTML = '<option value="">Không (chỉ các lớp chọn thang điểm này)</option>' +
+            years.map(year => `<option value="${year}">Mọi lớp năm học ${year}</option>`).join('');
+        yearSelect.value = schoolYear;
+
+        document.getElementById('grading-name').value = scheme ? `${source.name}${copy ? ' (bản sao)' : ''}` : '';
+        document.getElementById('grading-pass-min').value = source.passMin;
+        this.renderGradingRows(source.types, source.classifications);
+
+        document.getElementById('grading-title').textContent = editing ? 'Chỉnh sửa thang điểm' : 'Thêm thang điểm';
+        document.getElementById('submit-grading').textContent = editing ? 'Lưu thay đổi' : 'Thêm thang điểm';
+
+        this.openModal('grading-modal');
+    }
+
+    static renderGradingRows(types, classifications) {
+        const removeBtn = (kind, index, count) => `
+            <button type="button" class="btn btn--outline btn--sm btn--danger" data-action="remove-grading-row"
+                data-kind="${kind}" data-index="${index}" ${count === 1 ? 'disabled' : ''} aria-label="Xóa dòng">×</button>
+        `;
+
+        document.getElementById('grading-types').innerHTML = `
+            <div class="grading-row grading-row--header"><span>Mã</span><span>Tên</span><span>Hệ số</span><span>Học kỳ</span><span></span></div>
+            ${types.map((type, index) => `
+                <div class="grading-row grading-type-row">
+                    <div class="form-group">
+                        <input type="text" class="form-control" id="grading-type-${index}-id" value="${escapeHTML(type.id)}" aria-label="Mã loại điểm">
+                    </div>
+                    <div class="form-group">
+                        <input type="text" class="form-control" id="grading-type-${index}-name" value="${escapeHTML(type.name)}" aria-label="Tên loại điểm">
+                    </div>
+                    <div class="form-group">
+                        <input type="text" inputmode="decimal" class="form-control" id="grading-type-${index}-weight" value="${isNaN(type.weight) ? '' : type.weight}" aria-label="Hệ số">
+                    </div>
+                    <div class="form-group">
+                        <select class="form-control" id="grading-type-${index}-semester" aria-label="Học kỳ">
+                            ${SEMESTERS.filter(sem => sem.id !== 'CN').map(sem => `
+                                <option value="${sem.id}" ${sem.id === type.semester ? 'selected' : ''}>${sem.name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    ${removeBtn('type', index, types.length)}
+                </div>
+            `).join('')}
+        `;
+
+        document.getElementById('grading-bands').innerHTML = `
+            <div class="grading-row grading-row--bands grading-row--header"><span>Xếp loại</span><span>TB từ</span><span></span></div>
+            ${classifications.map((band, index) => `
+                <div class="grading-row grading-row--bands grading-band-row">
+                    <div class="form-group">
+                        <input type="text" class="form-control" id="grading-band-${index}-name" value="${escapeHTML(band.name)}" aria-label="Tên xếp loại">
+                    </div>
+                    <div class="form-group">
+                        <input type="text" inputmode="decimal" class="form-control" id="grading-band-${index}-min" value="${band.min === null || isNaN(band.min) ? '' : band.min}" aria-label="Điểm trung bình tối thiểu">
+                    </div>
+                    ${removeBtn('band', index, classifications.length)}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Add or remove a score type or band row, keeping what has been typed so far
+    static editGradingRows(button) {
+        const data = GradingManager.readForm();
+        const action = button.getAttribute('data-action');
+
+        if (action === 'add-grading-type') {
+            const last = data.types[data.types.length - 1];
+            data.types.push({ id: '', name: '', weight: 1, semester: last ? last.semester : 'HK1' });
+        } else if (action === 'add-grading-band') {
+            data.classifications.push({ name: '', min: null });
+        } else {
+            const list = button.getAttribute('data-kind') === 'type' ? data.types : data.classifications;
+            list.splice(parseInt(button.getAttribute('data-index'), 10), 1);
+        }
+
+        this.clearFormErrors(document.getElementById('grading-form'));
+        this.renderGradingRows(data.types, data.classifications);
+    }
+
+    static closeGradingForm() {
+        state.editingItem = null;
+        this.closeModal('grading-modal');
+    }
+
+    static async deleteGradingScheme(schemeId) {
+        const scheme = GradingManager.getSchemeById(schemeId);
+        if (!scheme || !confirm(`Xóa thang điểm ${scheme.name}?`)) return;
+
+        showLoading(true);
+        try {
+            await DataManager.deleteGradingScheme(schemeId);
+            this.renderGradingPage();
+            showToast('Đã xóa thang điểm', 'success');
+        } catch (error) {
+            showToast('Lỗi xóa thang điểm: ' + error.message, 'error');
+            console.error('Delete grading scheme error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Year-end Promotion Wizard: students move into the next school year's classes
+    static async openPromotionWizard() {
+        const body = document.getElementById('promotion-modal-body');
+        if (!body) return;
+
+        const schoolYear = shiftSchoolYear(state.schoolYear, 1);
+        showLoading(true);
+        try {
+            state.promotion = { schoolYear, classes: await DataManager.loadYearClasses(schoolYear) };
+        } catch (error) {
+            showToast('Lỗi tải lớp năm học ' + schoolYear + ': ' + error.message, 'error');
+            console.error('Load next year classes error:', error);
+            return;
+        } finally {
+            showLoading(false);
+        }
+
+        if (state.promotion.classes.length === 0) {
+            body.innerHTML = `
+                <p class="promotion-step__hint">Năm học ${schoolYear} chưa có lớp nào. Hãy chọn năm học ${schoolYear} ở đầu trang và tạo lớp trước khi cho học sinh lên lớp.</p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn--secondary" data-action="close-promotion">Đóng</button>
+                </div>
+            `;
+            this.openModal('promotion-modal');
+            return;
+        }
+
+        const options = state.promotion.classes.map(cls => `<option value="${cls.id}">${escapeHTML(cls.name)}</option>`).join('');
+
+        body.innerHTML = `
+            <div class="promotion-step" data-step="mapping">
+                <p class="promotion-step__hint">Bước 1/2: Chọn lớp năm học ${schoolYear} cho từng lớp. Học sinh của lớp chọn "Không chuyển" sẽ không được xếp lớp năm sau.</p>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Lớp hiện tại</th><th>Sĩ số</th><th>Lên lớp (${schoolYear})</th></tr>
+                    </thead>
+                    <tbody>
+                        ${state.classes.map(cls => `
+                            <tr>
+                                <td>${escapeHTML(cls.name)}</td>
+                                <td>${state.students.filter(s => s.lop === cls.id).length}</td>
+                                <td>
+                                    <select class="form-control promotion-target" data-from="${cls.id}">
+                                        <option value="">Không chuyển</option>
+                                        ${options}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="form-actions">
+                    <button type="button" class="btn btn--secondary" data-action="close-promotion">Hủy</button>
+                    <button type="button" class="btn btn--primary" data-action="review-promotion">Xem trước</button>
+                </div>
+            </div>
+            <div class="promotion-step hidden" data-step="review"></div>
+        `;
+
+        body.querySelectorAll('.promotion-target').forEach(select => {
+            select.value = DataManager.guessNextClass(select.getAttribute('data-from'), state.promotion.classes);
+        });
+
+        this.openModal('promotion-modal');
+    }
+
+    // Name of a class of the year students are promoted into
+    static getPromotionClassName(classId) {
+        const classItem = state.promotion && state.promotion.classes.find(c => c.id === classId);
+        return classItem ? classItem.name : classId;
+    }
+
+    static getPromotionMapping() {
+        const mapping = {};
+        document.querySelectorAll('#promotion-modal-body .promotion-target').forEach(select => {
+            mapping[select.getAttribute('data-from')] = select.value;
+        });
+        return mapping;
+    }
+
+    static showPromotionStep(step) {
+        document.querySelectorAll('#promotion-modal-body .promotion-step').forEach(el => {
+            el.classList.toggle('hidden', el.getAttribute('data-step') !== step);
+        });
+    }
+
+    static reviewPromotion() {
+        const review = document.querySelector('#promotion-modal-body [data-step="review"]');
+        const mapping = this.getPromotionMapping();
+        const plan = DataManager.buildPromotionPlan(mapping, { nextClasses: state.promotion.classes });
+        const heldBack = DataManager.getHeldBackStudents(mapping);
+        // Held-back students whose class has no counterpart next year
+        const notCarried = heldBack.filter(({ student }) => !state.promotion.classes.some(c => c.id === student.lop));
+
+        if (plan.length === 0 && heldBack.length === 0) {
+            showToast('Chưa có lớp nào được chọn để lên lớp', 'error');
+            return;
+        }
+
+        const groups = {};
+        plan.forEach(move => {
+            const key = `${move.from}→${move.to}`;
+            if (!groups[key]) groups[key] = { from: move.from, to: move.to, students: [] };
+            groups[key].students.push(state.students.find(s => s.id === move.studentId));
+        });
+
+        review.innerHTML = `
+            <p class="promotion-step__hint">Bước 2/2: Kiểm tra lại trước khi xếp ${plan.length} học sinh vào lớp năm học ${state.promotion.schoolYear}.</p>
+            ${Object.values(groups).map(group => `
+                <div class="promotion-group">
+                    <h4>${escapeHTML(DataManager.getClassName(group.from))} → ${escapeHTML(this.getPromotionClassName(group.to))} (${group.students.length})</h4>
+                    <p>${escapeHTML(group.students.map(student => `${student.tenThanh} ${getFullName(student)}`).join(', '))}</p>
+                </div>
+            `).join('')}
+            ${heldBack.length ? `
+                <div class="promotion-group promotion-group--held">
+                    <h4>Ở lại lớp: chưa đạt điểm lên lớp (${heldBack.length})</h4>
+                    <p>${heldBack.map(({ student, average, scheme }) =>
+                        `${escapeHTML(`${student.tenThanh} ${getFullName(student)}`)} (${escapeHTML(DataManager.getClassName(student.lop))}, TB ${average} &lt; ${scheme.passMin})`).join(', ')}</p>
+                    ${heldBack.length > notCarried.length ? `<p>Các em được xếp lại vào lớp cùng mã của năm học ${state.promotion.schoolYear}.</p>` : ''}
+                    ${notCarried.length ? `
+                        <p class="promotion-group__warning">Năm học ${state.promotion.schoolYear} chưa có lớp
+                            ${escapeHTML([...new Set(notCarried.map(({ student }) => DataManager.getClassName(student.lop)))].join(', '))}:
+                            ${notCarried.length} em sẽ không được xếp lớp năm sau.</p>
+                    ` : ''}
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="promotion-include-failed"> Vẫn cho các em này lên lớp
+                    </label>
+                </div>
+            ` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn btn--secondary" data-action="back-promotion">Quay lại</button>
+                <button type="button" class="btn btn--primary" data-action="confirm-promotion">Xác nhận lên lớp</button>
+            </div>
+        `;
+
+        this.showPromotionStep('review');
+    }
+
+    static async confirmPromotion() {
+        const includeFailed = document.getElementById('promotion-include-failed');
+        const plan = DataManager.buildPromotionPlan(this.getPromotionMapping(), {
+            includeFailed: !!(includeFailed && includeFailed.checked),
+            nextClasses: state.promotion.classes
+        });
+
+        await this.runPromotion(plan);
+    }
+
+    // Run the moves again for the students listed as failed
+    static async retryPromotion() {
+        const plan = [...document.querySelectorAll('#promotion-modal-body [data-step="result"] [data-student-id]')]
+            .map(item => ({
+                studentId: item.getAttribute('data-student-id'),
+                from: item.getAttribute('data-from'),
+                to: item.getAttribute('data-to')
+            }));
+        await this.runPromotion(plan);
+    }
 
-        container.innerHTML = classesHTML;
+    static async runPromotion(plan) {
+        showLoading(true);
+        try {
+            const result = await DataManager.promoteStudents(plan);
+            this.showMoveResult(result);
+            if (result.failed.length === 0) {
+                this.closeModal('promotion-modal');
+            } else {
+                this.renderPromotionFailures(result.failed);
+            }
+        } catch (error) {
+            showToast(error.message, 'error');
+            console.error('Promotion error:', error);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Moves that did not go through, with the reason, so the admin can retry just those
+    static renderPromotionFailures(failed) {
+        const body = document.getElementById('promotion-modal-body');
+        let step = body.querySelector('[data-step="result"]');
+        if (!step) {
+            step = document.createElement('div');
+            step.className = 'promotion-step';
+            step.setAttribute('data-step', 'result');
+            body.appendChild(step);
+        }
+
+        step.innerHTML = `
+            <p class="promotion-step__hint">Chưa chuyển được ${failed.length} học sinh. Các học sinh khác đã lên lớp.</p>
+            <ul class="promotion-failures">
+                ${failed.map(move => {
+                    const student = state.students.find(s => s.id === move.studentId);
+                    const name = student ? `${student.tenThanh} ${getFullName(student)}` : move.studentId;
+                    return `
+                        <li data-student-id="${move.studentId}" data-from="${move.from}" data-to="${move.to}">
+                            <strong>${escapeHTML(name)}</strong> (${escapeHTML(DataManager.getClassName(move.from))} → ${escapeHTML(this.getPromotionClassName(move.to))}):
+                            ${escapeHTML(move.error)}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            <div class="form-actions">
+                <button type="button" class="btn btn--secondary" data-action="close-promotion">Đóng</button>
+                <button type="button" class="btn btn--primary" data-action="retry-promotion">Thử lại ${failed.length} học sinh</button>
+            </div>
+        `;
+
+        this.showPromotionStep('result');
     }
 }
 
@@ -938,7 +6932,8 @@ function setupEventListeners() {
                     showLoading(true);
                     console.log('Attempting login for:', email);
                     
-                    const user = await AuthManager.login(email, password);
+                    const dataSource = document.getElementById('login-data-source').value;
+                    const user = await AuthManager.login(email, password, dataSource);
                     console.log('Login successful:', user);
                     
                     showToast(`Chào mừng ${user.fullName}!`, 'success');
@@ -980,6 +6975,8 @@ function setupEventListeners() {
             if (emailInput && passwordInput && email && password) {
                 emailInput.value = email;
                 passwordInput.value = password;
+                // Demo accounts only exist in the sandbox
+                document.getElementById('login-data-source').value = 'sandbox';
                 console.log('Demo credentials filled');
             } else {
                 console.error('Failed to fill demo credentials');
@@ -987,11 +6984,28 @@ function setupEventListeners() {
         });
     });
 
+    const loginDataSource = document.getElementById('login-data-source');
+    if (loginDataSource) loginDataSource.value = state.dataSource;
+
+    const retryLoadBtn = document.getElementById('retry-load-btn');
+    if (retryLoadBtn) {
+        retryLoadBtn.addEventListener('click', async () => {
+            await checkConnection();
+            UIManager.showPage(state.currentPage, { fromRouter: true });
+        });
+    }
+
     // Logout
     const logoutBtn = document.getElementById('logout-btn');
     if (logoutBtn) {
         logoutBtn.addEventListener('click', async () => {
+            const pending = await OfflineStore.getMutations().catch(() => []);
+            if (pending.length > 0 && !confirm(`Còn ${pending.length} thay đổi chưa đồng bộ sẽ bị mất khi đăng xuất. Tiếp tục?`)) {
+                return;
+            }
+
             try {
+                await UIManager.commitBulkAction();
                 await AuthManager.logout();
                 UIManager.showLoginPage();
                 showToast('Đã đăng xuất thành công!', 'success');
@@ -1001,6 +7015,23 @@ function setupEventListeners() {
         });
     }
 
+    // Session expiry warning
+    const extendSessionBtn = document.getElementById('extend-session-btn');
+    if (extendSessionBtn) {
+        extendSessionBtn.addEventListener('click', async () => {
+            if (await api.refreshSession()) {
+                showToast('Đã gia hạn phiên đăng nhập', 'success');
+            } else {
+                showToast('Không gia hạn được phiên, vui lòng lưu công việc và đăng nhập lại', 'error');
+            }
+        });
+    }
+
+    const dismissSessionWarning = document.getElementById('dismiss-session-warning');
+    if (dismissSessionWarning) {
+        dismissSessionWarning.addEventListener('click', () => UIManager.hideSessionWarning());
+    }
+
     // Navigation
     document.querySelectorAll('.navbar__item').forEach(item => {
         item.addEventListener('click', (e) => {
@@ -1021,15 +7052,204 @@ function setupEventListeners() {
         });
     }
 
+    // Advanced student filters: control id -> state.filters key
+    const studentFilterControls = {
+        'filter-giao-khu': 'studentsGiaoKhu',
+        'filter-birth-year': 'studentsBirthYear',
+        'filter-age-min': 'studentsAgeMin',
+        'filter-age-max': 'studentsAgeMax',
+        'filter-birth-month': 'studentsBirthMonth',
+        'filter-missing': 'studentsMissing',
+        'filter-sort': 'studentsSort'
+    };
+    Object.entries(studentFilterControls).forEach(([id, key]) => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        control.addEventListener('change', () => {
+            state.filters[key] = control.value.trim();
+            DataManager.saveStudentFilters();
+            UIManager.renderStudentsPage();
+        });
+    });
+
+    const clearStudentFilters = document.getElementById('clear-student-filters');
+    if (clearStudentFilters) {
+        clearStudentFilters.addEventListener('click', () => {
+            DataManager.resetStudentFilters();
+            UIManager.renderStudentsPage();
+        });
+    }
+
+    // Sacraments page controls: control id -> state.filters key
+    const sacramentFilterControls = {
+        'sacrament-type': 'sacramentType',
+        'sacrament-class': 'sacramentClass',
+        'sacrament-date': 'sacramentDate'
+    };
+    Object.entries(sacramentFilterControls).forEach(([id, key]) => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        control.addEventListener('change', () => {
+            state.filters[key] = control.value || (key === 'sacramentDate' ? getToday() : 'all');
+            UIManager.renderSacramentsPage();
+        });
+    });
+
+    const printCertificatesBtn = document.getElementById('print-certificates-btn');
+    if (printCertificatesBtn) {
+        printCertificatesBtn.addEventListener('click', () => UIManager.printCertificates());
+    }
+
+    // Audit log filters: control id -> state.filters key
+    const auditFilterControls = {
+        'audit-resource': 'auditResource',
+        'audit-action': 'auditAction',
+        'audit-actor': 'auditActor',
+        'audit-from': 'auditFrom',
+        'audit-to': 'auditTo'
+    };
+    Object.entries(auditFilterControls).forEach(([id, key]) => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        control.addEventListener('change', async () => {
+            state.filters[key] = control.value;
+            try {
+                await UIManager.renderAuditPage();
+            } catch (error) {
+                console.error('Load audit log error:', error);
+                showToast('Lỗi tải nhật ký: ' + error.message, 'error');
+            }
+        });
+    });
+
+    const trashResource = document.getElementById('trash-resource');
+    if (trashResource) {
+        trashResource.addEventListener('change', async () => {
+            state.filters.trashResource = trashResource.value;
+            try {
+                await UIManager.renderTrashPage();
+            } catch (error) {
+                console.error('Load trash error:', error);
+                showToast('Lỗi tải thùng rác: ' + error.message, 'error');
+            }
+        });
+    }
+
     // Event delegation for dynamic content
     document.addEventListener('click', (e) => {
         // Student cards
-        if (e.target.closest('.student-card')) {
-            const studentCard = e.target.closest('.student-card');
+        const studentCard = e.target.closest('.student-card');
+        if (studentCard) {
             const studentId = studentCard.getAttribute('data-student-id');
-            console.log('Student card clicked:', studentId);
-            // For demo, just show toast
-            showToast(`Xem chi tiết học sinh ${studentId}`, 'info');
+            if (e.target.closest('.student-card__select') || e.shiftKey) {
+                UIManager.toggleStudentSelection(studentId, { range: e.shiftKey });
+            } else {
+                UIManager.showStudentDetail(studentId);
+            }
+        }
+
+        // Student detail tabs
+        const studentTab = e.target.closest('[data-student-tab]');
+        if (studentTab) UIManager.showStudentTab(studentTab.dataset.studentTab);
+
+        // Student detail actions
+        const actionBtn = e.target.closest('[data-action]');
+        if (actionBtn) {
+            const studentId = actionBtn.getAttribute('data-student-id');
+            switch (actionBtn.getAttribute('data-action')) {
+                case 'edit-student': {
+                    const student = state.students.find(s => s.id === studentId);
+                    if (student) UIManager.openStudentForm(student);
+                    break;
+                }
+                case 'print-certificate':
+                    UIManager.printCertificates([studentId]);
+                    break;
+                case 'delete-student':
+                    UIManager.deleteStudent(studentId);
+                    break;
+                case 'edit-user': {
+                    const user = state.users.find(u => u.id === actionBtn.getAttribute('data-user-id'));
+                    if (user) UIManager.openUserForm(user);
+                    break;
+                }
+                case 'toggle-user':
+                    UIManager.toggleUserActive(actionBtn.getAttribute('data-user-id'));
+                    break;
+                case 'delete-user':
+                    UIManager.deleteUser(actionBtn.getAttribute('data-user-id'));
+                    break;
+                case 'restore-trash':
+                    UIManager.restoreTrashEntry(actionBtn.getAttribute('data-trash-id'));
+                    break;
+                case 'purge-trash':
+                    UIManager.purgeTrashEntry(actionBtn.getAttribute('data-trash-id'));
+                    break;
+                case 'edit-class': {
+                    const classItem = state.classes.find(c => c.id === actionBtn.getAttribute('data-class-id'));
+                    if (classItem) UIManager.openClassForm(classItem);
+                    break;
+                }
+                case 'move-class-students':
+                    UIManager.openMoveStudents(actionBtn.getAttribute('data-class-id'));
+                    break;
+                case 'delete-class':
+                    UIManager.deleteClass(actionBtn.getAttribute('data-class-id'));
+                    break;
+                case 'edit-grading': {
+                    const scheme = GradingManager.getSchemeById(actionBtn.getAttribute('data-scheme-id'));
+                    if (scheme) UIManager.openGradingForm(scheme);
+                    break;
+                }
+                case 'copy-grading': {
+                    const scheme = GradingManager.getSchemeById(actionBtn.getAttribute('data-scheme-id'));
+                    if (scheme) UIManager.openGradingForm(scheme, { copy: true });
+                    break;
+                }
+                case 'delete-grading':
+                    UIManager.deleteGradingScheme(actionBtn.getAttribute('data-scheme-id'));
+                    break;
+                case 'add-grading-type':
+                case 'add-grading-band':
+                case 'remove-grading-row':
+                    UIManager.editGradingRows(actionBtn);
+                    break;
+                case 'review-promotion':
+                    UIManager.reviewPromotion();
+                    break;
+                case 'back-promotion':
+                    UIManager.showPromotionStep('mapping');
+                    break;
+                case 'confirm-promotion':
+                    UIManager.confirmPromotion();
+                    break;
+                case 'retry-promotion':
+                    UIManager.retryPromotion();
+                    break;
+                case 'close-promotion':
+                    UIManager.closeModal('promotion-modal');
+                    break;
+                case 'mark-all-present':
+                    UIManager.markRemainingPresent();
+                    break;
+                case 'resolve-conflict':
+                    SyncManager.resolveConflict(
+                        parseInt(actionBtn.getAttribute('data-seq'), 10),
+                        actionBtn.getAttribute('data-keep') === 'local'
+                    );
+                    break;
+            }
+        }
+
+        // Attendance: one tap per student
+        const attendanceBtn = e.target.closest('.attendance-toggle__btn');
+        if (attendanceBtn && !attendanceBtn.disabled) {
+            UIManager.markAttendance(attendanceBtn.getAttribute('data-student-id'), attendanceBtn.getAttribute('data-status'));
+        }
+
+        // Close modals from the backdrop
+        if (e.target.classList.contains('modal__backdrop')) {
+            UIManager.closeModal(e.target.closest('.modal').id);
         }
 
         // Filter buttons
@@ -1040,11 +7260,520 @@ function setupEventListeners() {
             
             if (e.target.closest('#students-filter')) {
                 state.filters.studentsClass = classFilter;
+                DataManager.saveStudentFilters();
                 UIManager.renderStudentsPage();
             }
+
+            if (e.target.closest('#scores-filter')) {
+                state.filters.scoresClass = classFilter;
+                UIManager.renderScoresPage();
+            }
+
+            if (e.target.closest('#attendance-filter')) {
+                state.filters.attendanceClass = classFilter;
+                UIManager.renderAttendancePage();
+            }
         }
     });
 
+    // Attendance date and absence threshold
+    const attendanceDate = document.getElementById('attendance-date');
+    if (attendanceDate) {
+        attendanceDate.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            state.filters.attendanceDate = e.target.value;
+            Router.syncPage('attendance');
+            UIManager.renderAttendanceGrid();
+        });
+    }
+
+    const absenceThreshold = document.getElementById('absence-threshold');
+    if (absenceThreshold) {
+        absenceThreshold.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (value > 0) {
+                DataManager.setAbsenceThreshold(value);
+                UIManager.renderAttendanceGrid();
+            } else {
+                e.target.value = DataManager.getAbsenceThreshold();
+            }
+        });
+    }
+
+    // Score type selector highlights the matching grid column
+    const scoreTypeSelect = document.getElementById('score-type');
+    if (scoreTypeSelect) {
+        scoreTypeSelect.addEventListener('change', (e) => {
+            state.filters.scoreType = e.target.value;
+            Router.syncPage('scores');
+            UIManager.renderScoresGrid();
+            const col = GradingManager.getScheme(state.filters.scoresClass).types
+                .findIndex(type => type.id === state.filters.scoreType);
+            UIManager.focusScoreCell(0, col);
+        });
+    }
+
+    // Score grid: inline editing and spreadsheet-style keyboard navigation
+    const scoresGrid = document.getElementById('scores-grid');
+    if (scoresGrid) {
+        scoresGrid.addEventListener('input', (e) => {
+            const input = e.target.closest('.score-cell__input');
+            if (!input) return;
+            const isDirty = input.value.trim() !== input.getAttribute('data-original');
+            UIManager.setScoreCellState(input, isDirty ? 'dirty' : null);
+        });
+
+        scoresGrid.addEventListener('change', (e) => {
+            const input = e.target.closest('.score-cell__input');
+            if (input) UIManager.saveScoreCell(input);
+        });
+
+        scoresGrid.addEventListener('focusin', (e) => {
+            const input = e.target.closest('.score-cell__input');
+            if (input) input.select();
+        });
+
+        scoresGrid.addEventListener('keydown', (e) => {
+            const input = e.target.closest('.score-cell__input');
+            if (!input) return;
+
+            const row = parseInt(input.getAttribute('data-row'), 10);
+            const col = parseInt(input.getAttribute('data-col'), 10);
+            const moves = {
+                ArrowUp: [row - 1, col],
+                ArrowDown: [row + 1, col],
+                Enter: [row + (e.shiftKey ? -1 : 1), col],
+                ArrowLeft: [row, col - 1],
+                ArrowRight: [row, col + 1]
+            };
+
+            if (e.key === 'Escape') {
+                // Revert the cell instead of closing anything
+                e.stopPropagation();
+                input.value = input.getAttribute('data-original');
+                UIManager.setScoreCellState(input, null);
+                return;
+            }
+
+            // Left/right only leave the cell once the caret is at its edge
+            if (e.key === 'ArrowLeft' && input.selectionStart > 0) return;
+            if (e.key === 'ArrowRight' && input.selectionEnd < input.value.length) return;
+
+            if (moves[e.key]) {
+                e.preventDefault();
+                const [nextRow, nextCol] = moves[e.key];
+                if (!UIManager.focusScoreCell(nextRow, nextCol) && e.key === 'Enter') {
+                    // Enter on the last row still commits the cell
+                    input.blur();
+                }
+            }
+        });
+    }
+
+    // Modal close buttons
+    const modalCloseButtons = {
+        'student-modal-close': () => UIManager.closeModal('student-modal'),
+        'add-student-modal-close': () => UIManager.closeStudentForm(),
+        'cancel-add-student': () => UIManager.closeStudentForm(),
+        'add-user-modal-close': () => UIManager.closeUserForm(),
+        'cancel-add-user': () => UIManager.closeUserForm(),
+        'add-class-modal-close': () => UIManager.closeClassForm(),
+        'cancel-add-class': () => UIManager.closeClassForm(),
+        'grading-modal-close': () => UIManager.closeGradingForm(),
+        'cancel-grading': () => UIManager.closeGradingForm(),
+        'move-students-modal-close': () => UIManager.closeModal('move-students-modal'),
+        'cancel-move-students': () => UIManager.closeModal('move-students-modal'),
+        'promotion-modal-close': () => UIManager.closeModal('promotion-modal'),
+        'sync-modal-close': () => UIManager.closeModal('sync-modal'),
+        'import-modal-close': () => UIManager.closeModal('import-modal'),
+        'report-card-modal-close': () => UIManager.closeModal('report-card-modal')
+    };
+    Object.entries(modalCloseButtons).forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    });
+
+    // Add/Edit student form
+    const studentForm = document.getElementById('add-student-form');
+    if (studentForm) {
+        studentForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const data = {};
+            Object.entries(STUDENT_FORM_FIELDS).forEach(([field, inputId]) => {
+                data[field] = document.getElementById(inputId).value.trim();
+            });
+            data.sacraments = SacramentManager.readForm();
+
+            const errors = DataManager.validateStudent(data);
+            if (Object.keys(errors).length > 0) {
+                UIManager.showFormErrors(studentForm, errors, { ...STUDENT_FORM_FIELDS, ...SacramentManager.formFields });
+                return;
+            }
+            data.sdt = normalizePhone(data.sdt);
+
+            const editing = state.editingItem;
+            try {
+                showLoading(true);
+                const student = await DataManager.saveStudent(data, editing ? editing.id : null);
+                UIManager.closeStudentForm();
+                UIManager.renderStudentsPage();
+                if (editing && !document.getElementById('student-modal').classList.contains('hidden')) {
+                    UIManager.showStudentDetail(student.id);
+                }
+                showToast(editing ? 'Đã cập nhật học sinh' : 'Đã thêm học sinh', 'success');
+            } catch (error) {
+                console.error('Save student error:', error);
+                showToast('Lỗi lưu học sinh: ' + error.message, 'error');
+            } finally {
+                showLoading(false);
+            }
+        });
+
+        // Clear a field's error as soon as it is edited
+        studentForm.addEventListener('input', (e) => {
+            if (e.target.classList.contains('form-control--error')) {
+                UIManager.clearFormErrors(studentForm, e.target);
+            }
+        });
+    }
+
+    const addStudentBtn = document.getElementById('add-student-btn');
+    if (addStudentBtn) {
+        addStudentBtn.addEventListener('click', () => UIManager.openStudentForm());
+    }
+
+    // Exports: data-export="students|selected|scores" data-format="csv|xlsx"
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const format = btn.getAttribute('data-format');
+            if (btn.getAttribute('data-export') === 'scores') {
+                UIManager.exportScores(format);
+            } else {
+                UIManager.exportStudents(format, { selected: btn.getAttribute('data-export') === 'selected' });
+            }
+        });
+    });
+
+    // Bulk actions on the selected students
+    const bulkButtons = {
+        'bulk-select-all': () => UIManager.selectAllStudents(),
+        'bulk-clear': () => UIManager.clearStudentSelection(),
+        'bulk-print': () => UIManager.printSelectedStudents(),
+        'bulk-delete': () => UIManager.bulkDeleteStudents(),
+        'bulk-giao-khu-btn': () => {
+            const input = document.getElementById('bulk-giao-khu');
+            UIManager.bulkChangeGiaoKhu(input.value.trim());
+            input.value = '';
+        },
+        'undo-btn': () => UIManager.undoBulkAction()
+    };
+    Object.entries(bulkButtons).forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    });
+
+    const bulkClass = document.getElementById('bulk-class');
+    if (bulkClass) {
+        bulkClass.addEventListener('change', () => {
+            UIManager.bulkChangeClass(bulkClass.value);
+            bulkClass.value = '';
+        });
+    }
+
+    // Closing or reloading the tab would drop a bulk change still in its undo
+    // window: start saving it now and have the browser ask before leaving
+    window.addEventListener('beforeunload', (e) => {
+        const pending = state.pendingBulk;
+        if (!pending) return;
+
+        // A paused change waits for the expired session to be renewed
+        if (pending.timer) UIManager.commitBulkAction();
+        e.preventDefault();
+        e.returnValue = '';
+    });
+
+    // Calendar page
+    const calendarClass = document.getElementById('calendar-class');
+    if (calendarClass) {
+        calendarClass.addEventListener('change', () => {
+            state.filters.calendarClass = calendarClass.value;
+            Router.syncPage('calendar');
+            UIManager.renderCalendarPage();
+        });
+    }
+    const calendarPrev = document.getElementById('calendar-prev');
+    if (calendarPrev) calendarPrev.addEventListener('click', () => UIManager.changeCalendarMonth(-1));
+    const calendarNext = document.getElementById('calendar-next');
+    if (calendarNext) calendarNext.addEventListener('click', () => UIManager.changeCalendarMonth(1));
+    const exportIcsBtn = document.getElementById('export-ics-btn');
+    if (exportIcsBtn) exportIcsBtn.addEventListener('click', () => UIManager.exportCalendar());
+
+    ['calendar-grid', 'upcoming-events'].forEach(id => {
+        const container = document.getElementById(id);
+        if (!container) return;
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-student-id]');
+            if (item) UIManager.showStudentDetail(item.getAttribute('data-student-id'));
+        });
+    });
+
+    const topStudentsTable = document.getElementById('top-students-table');
+    if (topStudentsTable) {
+        topStudentsTable.addEventListener('click', (e) => {
+            const row = e.target.closest('.top-students__row');
+            if (row) UIManager.showStudentDetail(row.getAttribute('data-student-id'));
+        });
+    }
+
+    // Report cards
+    const reportCardsBtn = document.getElementById('report-cards-btn');
+    if (reportCardsBtn) {
+        reportCardsBtn.addEventListener('click', () => UIManager.openReportCards());
+    }
+
+    ['report-class', 'report-semester'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', () => UIManager.renderReportCards());
+    });
+
+    // Comments are kept per student and semester, so switching class or semester doesn't lose them
+    const reportPreview = document.getElementById('report-card-preview');
+    if (reportPreview) {
+        reportPreview.addEventListener('input', (e) => {
+            const input = e.target.closest('.report-card__comment-input');
+            if (!input) return;
+            state.reportComments[`${input.dataset.studentId}:${input.dataset.semester}`] = input.value;
+        });
+    }
+
+    const printReportCardsBtn = document.getElementById('print-report-cards');
+    if (printReportCardsBtn) {
+        printReportCardsBtn.addEventListener('click', () => UIManager.printReportCards());
+    }
+
+    // Student import wizard
+    const importStudentsBtn = document.getElementById('import-students-btn');
+    if (importStudentsBtn) {
+        importStudentsBtn.addEventListener('click', () => UIManager.openImportWizard());
+    }
+
+    const importFile = document.getElementById('import-file');
+    if (importFile) {
+        importFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) UIManager.loadImportFile(e.target.files[0]);
+        });
+    }
+
+    const importModal = document.getElementById('import-modal');
+    if (importModal) {
+        importModal.addEventListener('change', (e) => {
+            if (e.target.classList.contains('import-column')) UIManager.updateImportMapping(e.target);
+        });
+    }
+
+    const importButtons = {
+        'review-import': () => UIManager.reviewImport(),
+        'back-import-mapping': () => UIManager.showImportStep('mapping'),
+        'confirm-import': () => UIManager.confirmImport(),
+        'close-import': () => UIManager.closeModal('import-modal')
+    };
+    Object.entries(importButtons).forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    });
+
+    // Add/Edit user form
+    const userForm = document.getElementById('add-user-form');
+    if (userForm) {
+        userForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const editing = state.editingItem;
+            const data = {
+                email: document.getElementById('user-email').value.trim(),
+                fullName: document.getElementById('user-fullname').value.trim(),
+                password: document.getElementById('user-password').value,
+                role: document.getElementById('user-role-select').value,
+                assignedClasses: UIManager.getSelectedAssignedClasses(),
+                active: document.getElementById('user-active').checked
+            };
+
+            const errors = DataManager.validateUser(data, editing ? editing.id : null);
+            if (Object.keys(errors).length > 0) {
+                UIManager.showFormErrors(userForm, errors, USER_FORM_FIELDS);
+                return;
+            }
+
+            try {
+                showLoading(true);
+                await DataManager.saveUser(data, editing ? editing.id : null);
+                UIManager.closeUserForm();
+                UIManager.renderUsersPage();
+                UIManager.updateUserInfo();
+                showToast(editing ? 'Đã cập nhật user' : 'Đã thêm user', 'success');
+            } catch (error) {
+                console.error('Save user error:', error);
+                showToast('Lỗi lưu user: ' + error.message, 'error');
+            } finally {
+                showLoading(false);
+            }
+        });
+
+        userForm.addEventListener('input', (e) => {
+            if (e.target.classList.contains('form-control--error')) {
+                UIManager.clearFormErrors(userForm, e.target);
+            }
+        });
+
+        // "Tất cả lớp" overrides the individual class checkboxes
+        userForm.addEventListener('change', (e) => {
+            if (e.target.matches('#user-assigned-classes input[value="ALL"]')) {
+                document.querySelectorAll('#user-assigned-classes input:not([value="ALL"])').forEach(input => {
+                    input.disabled = e.target.checked;
+                    if (e.target.checked) input.checked = true;
+                });
+            }
+            if (e.target.closest('#user-assigned-classes')) {
+                UIManager.clearFormErrors(userForm, document.getElementById('user-assigned-classes'));
+            }
+        });
+    }
+
+    const addUserBtn = document.getElementById('add-user-btn');
+    if (addUserBtn) {
+        addUserBtn.addEventListener('click', () => UIManager.openUserForm());
+    }
+
+    // Add/Edit class form
+    const classForm = document.getElementById('add-class-form');
+    if (classForm) {
+        classForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const editing = state.editingItem;
+            const data = {
+                id: document.getElementById('class-id').value.trim(),
+                name: document.getElementById('class-name').value.trim(),
+                description: document.getElementById('class-description').value.trim(),
+                sacrament: document.getElementById('class-sacrament').value,
+                gradingScheme: document.getElementById('class-grading-scheme').value
+            };
+
+            const errors = DataManager.validateClass(data, editing ? editing.id : null);
+            if (Object.keys(errors).length > 0) {
+                UIManager.showFormErrors(classForm, errors, { id: 'class-id', name: 'class-name' });
+                return;
+            }
+
+            try {
+                showLoading(true);
+                await DataManager.saveClass(data, editing ? editing.id : null);
+                UIManager.closeClassForm();
+                UIManager.renderClassesPage();
+                showToast(editing ? 'Đã cập nhật lớp' : 'Đã thêm lớp', 'success');
+            } catch (error) {
+                console.error('Save class error:', error);
+                showToast('Lỗi lưu lớp: ' + error.message, 'error');
+            } finally {
+                showLoading(false);
+            }
+        });
+
+        classForm.addEventListener('input', (e) => {
+            if (e.target.classList.contains('form-control--error')) {
+                UIManager.clearFormErrors(classForm, e.target);
+            }
+        });
+    }
+
+    // Add/Edit grading scheme form
+    const gradingForm = document.getElementById('grading-form');
+    if (gradingForm) {
+        gradingForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const editing = state.editingItem;
+            const data = GradingManager.readForm();
+            const errors = GradingManager.validate(data, editing ? editing.id : null);
+            if (Object.keys(errors).length > 0) {
+                UIManager.showFormErrors(gradingForm, errors, GradingManager.formFields(data));
+                return;
+            }
+            data.classifications.sort((a, b) => b.min - a.min);
+
+            try {
+                showLoading(true);
+                await DataManager.saveGradingScheme(data, editing ? editing.id : null);
+                UIManager.closeGradingForm();
+                UIManager.renderGradingPage();
+                showToast(editing ? 'Đã cập nhật thang điểm' : 'Đã thêm thang điểm', 'success');
+            } catch (error) {
+                console.error('Save grading scheme error:', error);
+                showToast('Lỗi lưu thang điểm: ' + error.message, 'error');
+            } finally {
+                showLoading(false);
+            }
+        });
+
+        gradingForm.addEventListener('input', (e) => {
+            if (e.target.classList.contains('form-control--error')) {
+                UIManager.clearFormErrors(gradingForm, e.target);
+            }
+        });
+    }
+
+    const addGradingBtn = document.getElementById('add-grading-btn');
+    if (addGradingBtn) addGradingBtn.addEventListener('click', () => UIManager.openGradingForm());
+
+    // School year selector and the archive banner's way back
+    const schoolYearSelect = document.getElementById('school-year');
+    if (schoolYearSelect) {
+        schoolYearSelect.addEventListener('change', () => UIManager.changeSchoolYear(schoolYearSelect.value));
+    }
+    const currentYearBtn = document.getElementById('current-year-btn');
+    if (currentYearBtn) {
+        currentYearBtn.addEventListener('click', () => UIManager.changeSchoolYear(getSchoolYear()));
+    }
+
+    const syncStatus = document.getElementById('sync-status');
+    if (syncStatus) {
+        syncStatus.addEventListener('click', async () => {
+            await UIManager.renderSyncConflicts();
+            UIManager.openModal('sync-modal');
+        });
+    }
+
+    const classPageButtons = {
+        'add-class-btn': () => UIManager.openClassForm(),
+        'move-students-btn': () => UIManager.openMoveStudents(),
+        'promotion-btn': () => UIManager.openPromotionWizard()
+    };
+    Object.entries(classPageButtons).forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    });
+
+    // Move students tool
+    const moveStudentsForm = document.getElementById('move-students-form');
+    if (moveStudentsForm) {
+        moveStudentsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            UIManager.submitMoveStudents();
+        });
+
+        moveStudentsForm.addEventListener('change', (e) => {
+            if (e.target.id === 'move-from-class') {
+                UIManager.renderMoveStudentsList();
+            }
+            if (e.target.hasAttribute('data-select-all')) {
+                moveStudentsForm.querySelectorAll('#move-students-list input[value]').forEach(input => {
+                    input.checked = e.target.checked;
+                });
+            }
+        });
+    }
+
     // Toast close
     const toastClose = document.getElementById('toast-close');
     if (toastClose) {
@@ -1057,7 +7786,7 @@ function setupEventListeners() {
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             document.querySelectorAll('.modal').forEach(modal => {
-                modal.classList.add('hidden');
+                UIManager.closeModal(modal.id);
             });
         }
     });
@@ -1068,8 +7797,14 @@ function setupEventListeners() {
 // Connection monitoring
 async function checkConnection() {
     try {
+        const wasOnline = state.isOnline;
         const isOnline = await api.checkHealth();
         updateConnectionStatus(isOnline);
+
+        // Back online: push the writes queued while offline
+        if (isOnline && !wasOnline && state.currentUser) {
+            SyncManager.replay();
+        }
         return isOnline;
     } catch (error) {
         updateConnectionStatus(false);
@@ -1083,6 +7818,8 @@ async function init() {
 
     // Setup event listeners first
     setupEventListeners();
+    Router.start();
+    DataManager.loadStudentFilters();
 
     // Check connection
     const isOnline = await checkConnection();
@@ -1092,15 +7829,22 @@ async function init() {
     const token = localStorage.getItem(CONFIG.TOKEN_KEY);
     const storedUser = localStorage.getItem(CONFIG.USER_KEY);
     
-    if (token && storedUser && isOnline) {
+    if (state.dataSource === 'live' && token && storedUser && isOnline) {
         const isValid = await AuthManager.verifySession();
         if (isValid) {
             console.log('Valid session found, showing main app');
             UIManager.showMainApp();
+            SyncManager.replay();
         } else {
             console.log('Invalid session, showing login page');
             UIManager.showLoginPage();
         }
+    } else if (state.dataSource === 'live' && token && AuthManager.getCurrentUser()) {
+        // Offline with an existing session: work from the offline cache
+        UIManager.showMainApp();
+        SyncManager.updateIndicator();
+    } else if (state.dataSource === 'sandbox' && AuthManager.getCurrentUser()) {
+        UIManager.showMainApp();
     } else {
         console.log('No valid session, showing login page');
         UIManager.showLoginPage();